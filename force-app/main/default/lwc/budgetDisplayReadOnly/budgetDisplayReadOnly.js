@@ -1,13 +1,33 @@
 import { LightningElement, api, track } from 'lwc';
 import { OmniscriptActionCommonUtil } from 'omnistudio/omniscriptActionUtils';
+import USER_CURRENCY from '@salesforce/i18n/currency';
+import LABEL_EXPENSE_BUDGET from '@salesforce/label/c.ReviewSummary_ExpenseBudget';
+import LABEL_CATEGORY from '@salesforce/label/c.ReviewSummary_BudgetCategory';
+import LABEL_DESCRIPTION from '@salesforce/label/c.ReviewSummary_BudgetDescription';
+import LABEL_AMOUNT from '@salesforce/label/c.ReviewSummary_BudgetAmount';
+import LABEL_TOTAL from '@salesforce/label/c.ReviewSummary_BudgetTotal';
+import LABEL_SUBTOTAL from '@salesforce/label/c.ReviewSummary_BudgetSubtotal';
+import LABEL_TOTAL_EXPENSE_BUDGET from '@salesforce/label/c.ReviewSummary_TotalExpenseBudget';
+import LABEL_NO_BUDGET from '@salesforce/label/c.ReviewSummary_NoBudget';
 
 /**
  * Read-only budget display. Fetches budget via OmniscriptActionCommonUtil (no @salesforce/apex)
  * so it works with runtimeNamespace omnistudio. Uses IntakeFormReviewSummaryController.getBudgetDetail.
  * Pass recordId (proposal id) or it is read from URL param c__proposal.
+ * Amounts use the running user's currency unless currencyCode is passed (e.g. from intakeFormReviewSummary).
+ * Fires loadcomplete once the budget (or its error) is shown, e.g. so intakeFormReviewSummary can print.
  */
 export default class BudgetDisplayReadOnly extends LightningElement {
     _recordId;
+    _currencyCode;
+
+    @api
+    get currencyCode() {
+        return this._currencyCode || USER_CURRENCY || 'USD';
+    }
+    set currencyCode(value) {
+        this._currencyCode = value;
+    }
 
     @api
     get recordId() {
@@ -18,6 +38,17 @@ export default class BudgetDisplayReadOnly extends LightningElement {
         if (value && this._actionUtil) this.getBudgetDetails();
     }
 
+    labels = {
+        expenseBudget: LABEL_EXPENSE_BUDGET,
+        category: LABEL_CATEGORY,
+        description: LABEL_DESCRIPTION,
+        amount: LABEL_AMOUNT,
+        total: LABEL_TOTAL,
+        subtotal: LABEL_SUBTOTAL,
+        totalExpenseBudget: LABEL_TOTAL_EXPENSE_BUDGET,
+        noBudget: LABEL_NO_BUDGET
+    };
+
     _actionUtil;
     _budgetRetryDone = false; // one retry for community first-load "Script-thrown exception"
     @track _displayData = [];
@@ -42,6 +73,11 @@ export default class BudgetDisplayReadOnly extends LightningElement {
         if (proposalId) this._recordId = proposalId.trim();
         console.log('budgetDisplayReadOnly connectedCallback proposalId:', proposalId);
         if (this._recordId) this.getBudgetDetails();
+        else this.notifyLoadComplete();
+    }
+
+    notifyLoadComplete() {
+        this.dispatchEvent(new CustomEvent('loadcomplete'));
     }
 
     getBudgetDetails() {
@@ -80,11 +116,13 @@ export default class BudgetDisplayReadOnly extends LightningElement {
                 } else {
                     this._errorMessage = '';
                 }
+                this.notifyLoadComplete();
             })
             .catch((err) => {
                 this._errorMessage = (err && (err.message || err.body?.message)) || String(err);
                 this._displayData = [];
                 this._showError = true;
+                this.notifyLoadComplete();
             });
     }
 
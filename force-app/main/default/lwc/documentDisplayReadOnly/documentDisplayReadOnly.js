@@ -1,10 +1,12 @@
 import { LightningElement, api, track } from 'lwc';
 import { OmniscriptActionCommonUtil } from 'omnistudio/omniscriptActionUtils';
+import LABEL_NO_DOCUMENTS from '@salesforce/label/c.ReviewSummary_NoDocuments';
 
 /**
  * Read-only document display. Fetches documents via OmniscriptActionCommonUtil (no @salesforce/apex)
  * so it works with runtimeNamespace omnistudio. Uses IntakeFormReviewSummaryController.getDocumentDetail.
  * Pass recordId (proposal id) or it is read from URL param c__proposal.
+ * Fires loadcomplete once the list (or its error) is shown, e.g. so intakeFormReviewSummary can print.
  */
 export default class DocumentDisplayReadOnly extends LightningElement {
     _recordId;
@@ -43,7 +45,12 @@ export default class DocumentDisplayReadOnly extends LightningElement {
         const proposalId = urlParams.get('c__proposal');
         if (proposalId) this._recordId = proposalId.trim();
         if (this._recordId) this.loadDocuments();
-        else this._isLoading = false;
+        else this.finishLoading();
+    }
+
+    finishLoading() {
+        this._isLoading = false;
+        this.dispatchEvent(new CustomEvent('loadcomplete'));
     }
 
     loadDocuments() {
@@ -73,16 +80,16 @@ export default class DocumentDisplayReadOnly extends LightningElement {
                 this._documents = Array.isArray(raw) ? this.enrichDocuments(raw) : [];
                 this._showError = !this._documents || this._documents.length === 0;
                 this._errorMessage = this._showError
-                    ? (result && (result.error || result.message)) || 'No documents uploaded yet.'
+                    ? (result && (result.error || result.message)) || LABEL_NO_DOCUMENTS
                     : '';
-                this._isLoading = false;
+                this.finishLoading();
             })
             .catch((err) => {
                 this._errorMessage = (err && (err.message || err.body?.message)) || String(err);
                 console.error('Document load error:', err);
                 this._documents = [];
                 this._showError = true;
-                this._isLoading = false;
+                this.finishLoading();
             });
     }
 
@@ -0,0 +1,1013 @@
+import { createElement } from 'lwc';
+import IntakeFormReviewSummary from 'c/intakeFormReviewSummary';
+// Shared with IntakeFormReviewSummaryRendererTest: the PDF renderer must show the same values
+import parityFixtures from '../../../staticresources/ReviewSummaryParityFixtures.json';
+
+const mockExecuteAction = jest.fn();
+
+jest.mock(
+    'omnistudio/omniscriptBaseMixin',
+    () => ({ OmniscriptBaseMixin: (Base) => class extends Base {} }),
+    { virtual: true }
+);
+jest.mock(
+    'omnistudio/omniscriptActionUtils',
+    () => ({
+        OmniscriptActionCommonUtil: class {
+            executeAction(params) {
+                return mockExecuteAction(params);
+            }
+        }
+    }),
+    { virtual: true }
+);
+jest.mock('@salesforce/label/c.ReviewSummary_ChangeMany', () => ({ default: '{0} changes since the previous version' }), { virtual: true });
+jest.mock('@salesforce/label/c.ReviewSummary_MatchMany', () => ({ default: '{0} matching fields' }), { virtual: true });
+jest.mock('@salesforce/label/c.ReviewSummary_NoMatches', () => ({ default: 'No fields match "{0}"' }), { virtual: true });
+jest.mock('@salesforce/label/c.ReviewSummary_DurationHours', () => ({ default: '{0} hr' }), { virtual: true });
+jest.mock('@salesforce/label/c.ReviewSummary_DurationMinutes', () => ({ default: '{0} min' }), { virtual: true });
+
+const PROPOSAL_ID = 'a0B5e000001AbCdEAK';
+const SNAPSHOT_ID = 'a0E5e000004SnApEAK';
+const ROW_ID = 'a0C5e000002XyZaEAK';
+
+// eslint-disable-next-line @lwc/lwc/no-async-operation
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Answer each controller action with results[sMethodName] (a result object, or a promise of one); {} otherwise
+ */
+const mockActions = (results = {}) => {
+    mockExecuteAction.mockImplementation(params => Promise.resolve(results[params.sMethodName] || {})
+        .then(result => ({ result })));
+};
+
+const calledMethods = () => mockExecuteAction.mock.calls.map(([params]) => params.sMethodName);
+
+const createSummary = async (properties) => {
+    const element = createElement('c-intake-form-review-summary', { is: IntakeFormReviewSummary });
+    Object.assign(element, properties);
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+};
+
+/** Display values handed to c-review-field-value, keyed by field label */
+const fieldValues = (element) => {
+    const values = {};
+    element.shadowRoot.querySelectorAll('.field-label').forEach(labelElement => {
+        values[labelElement.textContent] = labelElement.nextElementSibling.querySelector('c-review-field-value').field.displayValue;
+    });
+    return values;
+};
+
+/** Processed field objects handed to c-review-field-value, keyed by field key */
+const fieldsByKey = (element) => {
+    const fields = {};
+    element.shadowRoot.querySelectorAll('c-review-field-value').forEach(valueElement => {
+        fields[valueElement.field.key] = valueElement.field;
+    });
+    return fields;
+};
+
+const fieldValueElement = (element, key) => Array.from(element.shadowRoot.querySelectorAll('c-review-field-value'))
+    .find(valueElement => valueElement.field.key === key);
+
+const errorText = (element) => {
+    const error = element.shadowRoot.querySelector('.slds-theme_error');
+    return error ? error.textContent : null;
+};
+
+describe('c-intake-form-review-summary', () => {
+    beforeEach(() => {
+        mockActions();
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        window.sessionStorage.clear();
+        jest.clearAllMocks();
+    });
+
+    describe('field types', () => {
+        it('detects built-in types from the key and value', async () => {
+            const element = await createSummary({
+                formData: {
+                    Applicant: {
+                        ContactEmail: 'jo@example.org',
+                        ContactPhone: '6175550100',
+                        BudgetAmount: 1500,
+                        StartDate: '2026-09-01',
+                        Website: 'https://example.org',
+                        HotelName: 'Harbor Inn',
+                        IsNonprofit: true
+                    }
+                },
+                labelData: {
+                    Applicant: {
+                        _sectionTitle: 'Applicant',
+                        ContactEmail: 'Email',
+                        ContactPhone: 'Phone',
+                        BudgetAmount: 'Budget',
+                        StartDate: 'Start',
+                        Website: 'Website',
+                        HotelName: 'Hotel',
+                        IsNonprofit: 'Nonprofit'
+                    }
+                }
+            });
+
+            const fields = fieldsByKey(element);
+            expect(fields.ContactEmail.fieldType).toBe('email');
+            expect(fields.ContactEmail.href).toBe('mailto:jo@example.org');
+            expect(fields.ContactPhone.fieldType).toBe('phone');
+            expect(fields.ContactPhone.displayValue).toBe('(617) 555-0100');
+            expect(fields.ContactPhone.href).toBe('tel:6175550100');
+            expect(fields.BudgetAmount.fieldType).toBe('currency');
+            expect(fields.BudgetAmount.displayValue).toBe('$1,500.00');
+            expect(fields.StartDate.fieldType).toBe('date');
+            expect(fields.Website.fieldType).toBe('url');
+            expect(fields.Website.href).toBe('https://example.org/');
+            // "tel" is matched against the key's words, so HotelName stays text
+            expect(fields.HotelName.fieldType).toBe('text');
+            expect(fields.IsNonprofit.isBoolean).toBe(true);
+            expect(fields.IsNonprofit.booleanIcon).toBe('utility:check');
+        });
+
+        it('uses the explicit type and formats percent, duration and masked values', async () => {
+            const element = await createSummary({
+                formData: { Applicant: { Share: 25, Meeting: 90, Ein: '12-3456789' } },
+                labelData: {
+                    Applicant: {
+                        Share: { label: 'Share', type: 'percent' },
+                        Meeting: { label: 'Meeting', type: 'duration' },
+                        Ein: { label: 'EIN', type: 'masked' }
+                    }
+                }
+            });
+
+            const fields = fieldsByKey(element);
+            expect(fields.Share.displayValue).toBe('25%');
+            expect(fields.Meeting.displayValue).toBe('1 hr 30 min');
+            expect(fields.Ein.displayValue).toBe('••-•••6789');
+        });
+
+        it('renders with the built-in types before the registry loads and applies registered types once it arrives', async () => {
+            let resolveFieldTypes;
+            mockActions({
+                getFieldTypes: new Promise(resolve => {
+                    resolveFieldTypes = resolve;
+                })
+            });
+            const element = await createSummary({
+                formData: { Applicant: { PostalCode: '021081234', ContactEmail: 'jo@example.org' } },
+                labelData: { Applicant: { PostalCode: 'Postal code', ContactEmail: 'Email' } }
+            });
+
+            let fields = fieldsByKey(element);
+            expect(element.shadowRoot.querySelector('lightning-spinner')).toBeNull();
+            expect(fields.PostalCode.fieldType).toBe('text');
+            expect(fields.PostalCode.displayValue).toBe('021081234');
+
+            resolveFieldTypes({
+                fieldTypes: JSON.stringify([
+                    { type: 'zip', format: 'pattern', options: '{"pattern": ["#####", "#####-####"]}', keyPattern: '\\b(zip|postal)' }
+                ])
+            });
+            await flushPromises();
+
+            fields = fieldsByKey(element);
+            expect(fields.PostalCode.fieldType).toBe('pattern');
+            expect(fields.PostalCode.displayValue).toBe('02108-1234');
+            expect(fields.ContactEmail.fieldType).toBe('email');
+            expect(calledMethods().filter(method => method === 'getFieldTypes')).toHaveLength(1);
+        });
+
+        it('keeps the built-in types when the registry fails to load', async () => {
+            mockActions({ getFieldTypes: { error: 'No access' } });
+            const element = await createSummary({
+                formData: { Applicant: { PostalCode: '02108' } },
+                labelData: { Applicant: { PostalCode: 'Postal code' } }
+            });
+
+            expect(fieldsByKey(element).PostalCode.displayValue).toBe('02108');
+            expect(element.shadowRoot.querySelector('.slds-theme_error')).toBeNull();
+        });
+
+        it('shows the record name for lookup fields once getRecordNames resolves it', async () => {
+            mockActions({ getRecordNames: { recordNames: JSON.stringify({ [PROPOSAL_ID]: 'Harbor Grant' }) } });
+            const element = await createSummary({
+                formData: { Applicant: { Proposal: PROPOSAL_ID } },
+                labelData: { Applicant: { _sectionTitle: 'Applicant', Proposal: { label: 'Proposal', type: 'lookup' } } }
+            });
+            await flushPromises();
+
+            const namesCall = mockExecuteAction.mock.calls.find(([params]) => params.sMethodName === 'getRecordNames');
+            expect(JSON.parse(namesCall[0].input)).toEqual({ recordIds: [PROPOSAL_ID] });
+            const proposal = fieldsByKey(element).Proposal;
+            expect(proposal.isLookup).toBe(true);
+            expect(proposal.recordId).toBe(PROPOSAL_ID);
+            expect(proposal.displayValue).toBe('Harbor Grant');
+        });
+    });
+
+    describe('rich text and multi-select', () => {
+        it('shows rich text as plain text and keeps out-of-range character references', async () => {
+            const element = await createSummary({
+                formData: { Narrative: { Summary: '<p>Tom &amp; Jerry&nbsp;&#x41; &#1114112;</p><p>Next</p>' } },
+                labelData: { Narrative: { Summary: { label: 'Summary', type: 'richtext' } } }
+            });
+
+            const summary = fieldsByKey(element).Summary;
+            expect(element.shadowRoot.querySelector('.slds-theme_error')).toBeNull();
+            expect(summary.isRichText).toBe(true);
+            expect(summary.displayValue).toBe('Tom & Jerry A &#1114112; Next');
+            expect(summary.richTextValue).toBe('<p>Tom &amp; Jerry&nbsp;&#x41; &#1114112;</p><p>Next</p>');
+        });
+
+        it('treats rich text made of empty markup as missing when required', async () => {
+            const element = await createSummary({
+                formData: { Narrative: { Summary: '<p><br></p>' } },
+                labelData: { Narrative: { Summary: { label: 'Summary', type: 'richtext', required: true } } }
+            });
+
+            const summary = fieldsByKey(element).Summary;
+            expect(summary.isRichText).toBe(false);
+            expect(summary.isMissing).toBe(true);
+        });
+
+        it('splits semicolon-separated values into pills but not in long text', async () => {
+            const element = await createSummary({
+                formData: { Program: { Focus: 'Math; Science;', Notes: 'First; second' } },
+                labelData: { Program: { Focus: 'Focus', Notes: { label: 'Notes', type: 'longtext', lines: 2 } } }
+            });
+
+            const fields = fieldsByKey(element);
+            expect(fields.Focus.isMultiSelect).toBe(true);
+            expect(fields.Focus.displayValues.map(pill => pill.value)).toEqual(['Math', 'Science']);
+            expect(fields.Notes.isMultiSelect).toBe(false);
+            expect(fields.Notes.isLongText).toBe(true);
+            expect(fields.Notes.longTextLines).toBe(2);
+        });
+    });
+
+    describe('sensitive fields', () => {
+        const formData = { Applicant: { Ssn: '123-45-6789', Pin: '1234', TaxId: '98-7654321', Code: 'ABC-12' } };
+        const labelData = {
+            Applicant: {
+                Ssn: { label: 'SSN', sensitive: true },
+                Pin: { label: 'PIN', mask: true },
+                TaxId: { label: 'Tax ID', sensitive: false, mask: true },
+                Code: { label: 'Code', sensitive: { visible: 1, maskCharacter: '*' } }
+            }
+        };
+
+        it('masks sensitive and mask fields, never showing more than half of the value', async () => {
+            const element = await createSummary({ formData, labelData });
+
+            const fields = fieldsByKey(element);
+            expect(fields.Ssn.isMasked).toBe(true);
+            expect(fields.Ssn.maskedValue).toBe('•••-••-6789');
+            expect(fields.Pin.isSensitive).toBe(true);
+            expect(fields.Pin.maskedValue).toBe('••34');
+            // "sensitive" wins over its "mask" alias
+            expect(fields.TaxId.isSensitive).toBe(false);
+            expect(fields.Code.maskedValue).toBe('***-*2');
+            expect(fields.Ssn.canReveal).toBe(false);
+            expect(calledMethods()).toContain('getSensitiveAccess');
+        });
+
+        it('does not check reveal access when no field is sensitive', async () => {
+            await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                labelData: { Applicant: { Name: 'Name' } }
+            });
+
+            expect(calledMethods()).not.toContain('getSensitiveAccess');
+        });
+
+        it('reveals a field once the reveal is logged', async () => {
+            mockActions({
+                getSensitiveAccess: { canReveal: true },
+                revealSensitiveField: { revealLogId: 'a0D5e000003QwErEAK' }
+            });
+            const element = await createSummary({ formData, labelData, recordId: PROPOSAL_ID });
+
+            const ssn = fieldsByKey(element).Ssn;
+            expect(ssn.canReveal).toBe(true);
+            expect(ssn.revealKey).toBe('["Applicant","Ssn"]');
+
+            fieldValueElement(element, 'Ssn').dispatchEvent(new CustomEvent('revealtoggle', {
+                detail: { revealKey: ssn.revealKey, reveal: true }
+            }));
+            await flushPromises();
+
+            const revealCall = mockExecuteAction.mock.calls.find(([params]) => params.sMethodName === 'revealSensitiveField');
+            expect(JSON.parse(revealCall[0].input)).toEqual({
+                proposal: PROPOSAL_ID,
+                formType: null,
+                fieldPath: '["Applicant","Ssn"]',
+                fieldLabel: 'SSN'
+            });
+            expect(fieldsByKey(element).Ssn.isRevealed).toBe(true);
+            expect(fieldsByKey(element).Ssn.isMasked).toBe(false);
+            expect(fieldsByKey(element).Pin.isMasked).toBe(true);
+        });
+
+        it('keeps the field masked when the reveal is not logged', async () => {
+            mockActions({
+                getSensitiveAccess: { canReveal: true },
+                revealSensitiveField: { error: 'Insert failed' }
+            });
+            const element = await createSummary({ formData, labelData });
+
+            fieldValueElement(element, 'Ssn').dispatchEvent(new CustomEvent('revealtoggle', {
+                detail: { revealKey: '["Applicant","Ssn"]', reveal: true }
+            }));
+            await flushPromises();
+
+            const ssn = fieldsByKey(element).Ssn;
+            expect(ssn.isMasked).toBe(true);
+            expect(ssn.revealError).toBe('c.ReviewSummary_RevealFailed');
+        });
+
+        it('reveals only the field at the revealKey path when hyphenated keys would collide', async () => {
+            mockActions({
+                getSensitiveAccess: { canReveal: true },
+                revealSensitiveField: { revealLogId: 'a0D5e000003QwErEAK' }
+            });
+            const element = await createSummary({
+                formData: { 'Bank-Account': { Number: '12345678' }, Bank: { 'Account-Number': '87654321' } },
+                labelData: {
+                    'Bank-Account': { Number: { label: 'Number', sensitive: true } },
+                    Bank: { 'Account-Number': { label: 'Account Number', sensitive: true } }
+                }
+            });
+
+            expect(fieldsByKey(element).Number.revealKey).toBe('["Bank-Account","Number"]');
+            fieldValueElement(element, 'Number').dispatchEvent(new CustomEvent('revealtoggle', {
+                detail: { revealKey: '["Bank-Account","Number"]', reveal: true }
+            }));
+            await flushPromises();
+
+            const fields = fieldsByKey(element);
+            expect(fields.Number.isRevealed).toBe(true);
+            expect(fields['Account-Number'].revealKey).toBe('["Bank","Account-Number"]');
+            expect(fields['Account-Number'].isMasked).toBe(true);
+        });
+    });
+
+    describe('computed fields', () => {
+        it('evaluates totals, counts, arithmetic and concatenation, including per array row', async () => {
+            const element = await createSummary({
+                formData: {
+                    Org: {
+                        First: 'Jo',
+                        Last: 'Doe',
+                        Staff: [{ Salary: 100, Hours: 2 }, { Salary: '1,200', Hours: 3 }, { Salary: '', Hours: 1 }]
+                    }
+                },
+                labelData: {
+                    Org: {
+                        _sectionTitle: 'Organization',
+                        Staff: {
+                            _blockTitle: 'Staff',
+                            Salary: { label: 'Salary', type: 'number' },
+                            Pay: { label: 'Pay', type: 'number', compute: { multiply: ['Salary', 'Hours'] } }
+                        },
+                        Payroll: { label: 'Payroll', type: 'number', compute: { sum: 'Staff', field: 'Salary' } },
+                        Headcount: { label: 'Headcount', type: 'number', compute: { count: 'Staff', field: 'Salary' } },
+                        Average: { label: 'Average', type: 'number', compute: { avg: 'Staff', field: 'Salary', round: 0 } },
+                        Net: { label: 'Net', type: 'number', compute: { subtract: [{ value: 1000 }, { multiply: [2, 50] }] } },
+                        FullName: { label: 'Full Name', compute: { concat: ['First', 'Last'] } },
+                        Broken: { label: 'Broken', compute: { sum: 'Staff', avg: 'Staff' } }
+                    }
+                }
+            });
+
+            expect(fieldValues(element)).toEqual({
+                Payroll: '1,300',
+                Headcount: '2',
+                Average: '650',
+                Net: '900',
+                'Full Name': 'Jo Doe'
+            });
+            const pay = Array.from(element.shadowRoot.querySelectorAll('tbody tr'))
+                .map(row => row.querySelectorAll('c-review-field-value')[1].field.displayValue);
+            expect(pay).toEqual(['200', '3,600', '—']);
+        });
+    });
+
+    describe('array tables', () => {
+        const formData = {
+            Project: {
+                Staff: [
+                    { Name: 'Casey', Salary: 1000.5, Ssn: '123-45-6789', Hours: 10 },
+                    { Name: 'Alex', Salary: 2000, Ssn: '987-65-4321', Hours: 20 },
+                    { Name: 'Blair', Salary: 500, Ssn: '555-44-3333', Hours: 5 }
+                ]
+            }
+        };
+        const labelData = {
+            Project: {
+                Staff: {
+                    _blockTitle: 'Staff',
+                    _totals: true,
+                    _sortable: true,
+                    _pageSize: 2,
+                    Name: 'Name',
+                    Salary: { label: 'Salary', type: 'currency' },
+                    Ssn: { label: 'SSN', mask: true },
+                    Hours: { label: 'Hours', type: 'number', sensitive: true }
+                }
+            }
+        };
+
+        const rowNames = (element) => Array.from(element.shadowRoot.querySelectorAll('tbody tr'))
+            .map(row => Array.from(row.querySelectorAll('c-review-field-value')).find(value => value.field.key === 'Name').field.displayValue);
+
+        it('totals the currency and number columns over all rows except sensitive columns', async () => {
+            const element = await createSummary({ formData, labelData });
+
+            const totals = Array.from(element.shadowRoot.querySelectorAll('tfoot .totals-row td'))
+                .map(cell => cell.textContent);
+            expect(totals).toEqual(['', '$3,500.50', '', '']);
+        });
+
+        it('sorts by a column and pages the rows', async () => {
+            const element = await createSummary({ formData, labelData });
+
+            expect(rowNames(element)).toEqual(['Casey', 'Alex']);
+            expect(element.shadowRoot.querySelector('.table-pager')).not.toBeNull();
+
+            element.shadowRoot.querySelector('button.sort-button[data-field-name="Name"]').click();
+            await flushPromises();
+            expect(rowNames(element)).toEqual(['Alex', 'Blair']);
+
+            element.shadowRoot.querySelector('button.sort-button[data-field-name="Name"]').click();
+            await flushPromises();
+            expect(rowNames(element)).toEqual(['Casey', 'Blair']);
+
+            element.shadowRoot.querySelector('lightning-button-icon[data-page="2"]').click();
+            await flushPromises();
+            expect(rowNames(element)).toEqual(['Alex']);
+        });
+
+        it('shows every row without sort or page controls in the print layout', async () => {
+            const element = await createSummary({ formData, labelData, printMode: true });
+
+            expect(element.shadowRoot.querySelectorAll('tbody tr')).toHaveLength(3);
+            expect(element.shadowRoot.querySelector('button.sort-button')).toBeNull();
+            expect(element.shadowRoot.querySelector('.table-pager')).toBeNull();
+        });
+    });
+
+    describe('starter label JSON', () => {
+        const formData = {
+            ApplicantInformation: {
+                ApplicantInformation_CEOName: 'Jo',
+                ContactEmail: 'jo@example.org',
+                Mission: 'x'.repeat(200),
+                Address: { Street: '1 Main St' },
+                Staff: [{ Name: 'Casey', Salary: '', Manager: { Name: 'Blair' } }, { Name: 'Alex', Salary: 1000 }],
+                _meta: 'skipped'
+            },
+            Outcomes_Step: '{"TargetDate": "2027-01-01"}',
+            BudgetStep: { Amount: 5 },
+            Internal: { Token: 'x' }
+        };
+
+        it('labels sections, blocks, tables and fields from the form data, leaving out object cells of table rows', async () => {
+            const element = await createSummary({ formData, skipFieldsList: 'Internal' });
+
+            expect(element.generateLabelJson()).toEqual({
+                ApplicantInformation: {
+                    _sectionTitle: 'Applicant Information',
+                    _order: 1,
+                    ApplicantInformation_CEOName: 'CEO Name',
+                    ContactEmail: { label: 'Contact Email', type: 'email' },
+                    Mission: { label: 'Mission', colspan: 12 },
+                    Address: { _blockTitle: 'Address', Street: 'Street' },
+                    Staff: { _blockTitle: 'Staff', Name: 'Name', Salary: 'Salary' }
+                },
+                Outcomes_Step: { _sectionTitle: 'Outcomes', _order: 2, TargetDate: { label: 'Target Date', type: 'date' } }
+            });
+        });
+
+        it('shows the starter label JSON only in designMode', async () => {
+            expect((await createSummary({ formData })).shadowRoot.querySelector('.starter-json')).toBeNull();
+
+            const element = await createSummary({ formData: { Step: { Name: 'Jo' } }, designMode: true });
+            expect(JSON.parse(element.shadowRoot.querySelector('.starter-json').textContent))
+                .toEqual({ Step: { _sectionTitle: 'Step', _order: 1, Name: 'Name' } });
+        });
+    });
+
+    describe('form type config', () => {
+        it('renders with the label JSON of the active config for formType', async () => {
+            mockActions({
+                getFormConfig: { labelJson: JSON.stringify({ Applicant: { _sectionTitle: 'Applicant', Name: 'Full Name' } }) }
+            });
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                formType: 'MA EOED Intake Form'
+            });
+
+            const configCall = mockExecuteAction.mock.calls.find(([params]) => params.sMethodName === 'getFormConfig');
+            expect(configCall[0].sClassName).toBe('IntakeFormReviewSummaryController');
+            expect(JSON.parse(configCall[0].input)).toEqual({ formType: 'MA EOED Intake Form' });
+            expect(fieldValues(element)).toEqual({ 'Full Name': 'Jo' });
+            expect(errorText(element)).toBeNull();
+        });
+
+        it('shows an error when the form type has no active config', async () => {
+            mockActions({
+                getFormConfig: { error: 'No active review configuration found for form type "Unknown Form".', labelJson: '{}' }
+            });
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                formType: 'Unknown Form'
+            });
+
+            expect(errorText(element)).toContain('No active review configuration found for form type "Unknown Form".');
+            expect(element.shadowRoot.querySelector('.section')).toBeNull();
+        });
+
+        it('shows an error when the config has invalid label JSON', async () => {
+            mockActions({ getFormConfig: { labelJson: '{not json' } });
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                formType: 'MA EOED Intake Form'
+            });
+
+            expect(errorText(element)).toContain('c.ReviewSummary_InvalidConfig');
+        });
+
+        it('uses labelData over the form type config', async () => {
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                labelData: { Applicant: { Name: 'Name' } },
+                formType: 'MA EOED Intake Form'
+            });
+
+            expect(calledMethods()).not.toContain('getFormConfig');
+            expect(fieldValues(element)).toEqual({ Name: 'Jo' });
+        });
+    });
+
+    describe('_dataKey', () => {
+        it('reads sections, blocks, fields and array item fields from their data keys', async () => {
+            const element = await createSummary({
+                formData: {
+                    ProgramOutcomesStep: {
+                        Goal: 'Jobs',
+                        ContactBlock: { EmailAddress: 'jo@example.org' },
+                        StaffList: [{ FullName: 'Casey' }, { FullName: 'Alex' }]
+                    }
+                },
+                labelData: {
+                    ProjectedOutcomesStep: {
+                        _dataKey: 'ProgramOutcomesStep',
+                        _sectionTitle: 'Outcomes',
+                        Goal: 'Goal',
+                        Contact: { _dataKey: 'ContactBlock', _blockTitle: 'Contact', Email: { label: 'Email', _dataKey: 'EmailAddress' } },
+                        Staff: { _dataKey: 'StaffList', _blockTitle: 'Staff', Name: { label: 'Name', _dataKey: 'FullName' } }
+                    }
+                }
+            });
+
+            expect(element.shadowRoot.querySelector('.section-title').textContent).toBe('Outcomes');
+            expect(fieldValues(element)).toEqual({ Goal: 'Jobs', Email: 'jo@example.org' });
+            expect(Array.from(element.shadowRoot.querySelectorAll('.block-title')).map(title => title.textContent))
+                .toEqual(['Contact', 'Staff']);
+            const rows = Array.from(element.shadowRoot.querySelectorAll('tbody tr'))
+                .map(row => Array.from(row.querySelectorAll('td')).map(cell => {
+                    const valueElement = cell.querySelector('c-review-field-value');
+                    return valueElement ? valueElement.field.displayValue : cell.textContent;
+                }));
+            expect(rows).toEqual([['1', 'Casey'], ['2', 'Alex']]);
+        });
+    });
+
+    describe('required fields', () => {
+        const labelData = {
+            Applicant: {
+                _sectionTitle: 'Applicant',
+                Name: { label: 'Name', required: true },
+                Phone: { label: 'Phone', required: true },
+                Note: 'Note'
+            }
+        };
+
+        beforeEach(() => {
+            Element.prototype.scrollIntoView = jest.fn();
+        });
+
+        it('lists missing required fields and fails validate()', async () => {
+            const element = await createSummary({ formData: { Applicant: { Name: 'Jo', Phone: '', Note: '' } }, labelData });
+
+            expect(element.isComplete).toBe(false);
+            const banner = element.shadowRoot.querySelector('.missing-summary');
+            expect(banner.querySelector('.missing-summary-title').textContent).toBe('c.ReviewSummary_MissingOne');
+            expect(Array.from(banner.querySelectorAll('a')).map(link => link.textContent)).toEqual(['Phone']);
+
+            expect(element.validate()).toBe(false);
+            expect(element.checkValidity()).toBe(false);
+            expect(Element.prototype.scrollIntoView).toHaveBeenCalled();
+        });
+
+        it('links each missing field to its own field when hyphenated keys would collide', async () => {
+            const element = await createSummary({
+                formData: { 'Bank-Account': { Number: '' }, Bank: { 'Account-Number': '' } },
+                labelData: {
+                    'Bank-Account': { Number: { label: 'Number', required: true } },
+                    Bank: { 'Account-Number': { label: 'Account Number', required: true } }
+                }
+            });
+
+            const links = Array.from(element.shadowRoot.querySelectorAll('.missing-summary a'));
+            expect(links.map(link => link.dataset.anchorId)).toEqual(['["Bank-Account","Number"]', '["Bank","Account-Number"]']);
+            links[1].click();
+
+            const scrolled = Element.prototype.scrollIntoView.mock.instances[0];
+            expect(scrolled.dataset.anchorId).toBe('["Bank","Account-Number"]');
+        });
+
+        it('passes validate() when every required field has a value', async () => {
+            const element = await createSummary({ formData: { Applicant: { Name: 'Jo', Phone: '6175550100', Note: '' } }, labelData });
+
+            expect(element.isComplete).toBe(true);
+            expect(element.validate()).toBe(true);
+            expect(element.shadowRoot.querySelector('.missing-summary')).toBeNull();
+            expect(Element.prototype.scrollIntoView).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('visibleWhen', () => {
+        it('shows fields whose conditions match and skips hidden required fields', async () => {
+            const element = await createSummary({
+                formData: { Org: { HasPartner: 'Yes', PartnerName: 'Acme', Reason: '', Extra: 'shown', Either: 'ok' } },
+                labelData: {
+                    Org: {
+                        HasPartner: 'Has Partner',
+                        PartnerName: { label: 'Partner Name', visibleWhen: { field: 'HasPartner', equals: 'Yes' } },
+                        Reason: { label: 'No Partner Reason', required: true, visibleWhen: { field: 'HasPartner', in: ['No'] } },
+                        Extra: { label: 'Invalid Condition', visibleWhen: { field: 'HasPartner' } },
+                        Either: {
+                            label: 'Either Condition',
+                            visibleWhen: { or: [{ field: 'HasPartner', equals: 'No' }, { and: [{ field: 'PartnerName', notEmpty: true }] }] }
+                        }
+                    }
+                }
+            });
+
+            expect(Object.keys(fieldValues(element))).toEqual(['Has Partner', 'Partner Name', 'Invalid Condition', 'Either Condition']);
+            expect(element.isComplete).toBe(true);
+        });
+
+        it('hides a section whose condition refers to another step', async () => {
+            const element = await createSummary({
+                formData: { Eligibility: { Type: 'Individual' }, Organization: { Name: 'Acme' } },
+                labelData: {
+                    Eligibility: { _sectionTitle: 'Eligibility', Type: 'Type' },
+                    Organization: { _sectionTitle: 'Organization', visibleWhen: { field: 'Type', equals: 'Organization' }, Name: 'Name' }
+                }
+            });
+
+            expect(Array.from(element.shadowRoot.querySelectorAll('.section-title')).map(title => title.textContent))
+                .toEqual(['Eligibility']);
+        });
+    });
+
+    describe('compare mode', () => {
+        const labelData = {
+            Applicant: {
+                _sectionTitle: 'Applicant',
+                Name: 'Name',
+                City: 'City',
+                Email: 'Email',
+                Staff: { _blockTitle: 'Staff', Role: 'Role' }
+            }
+        };
+        const previousFormData = {
+            Applicant: { Name: 'Jo', City: 'Boston', Email: 'jo@example.org', Staff: [{ Role: 'Lead' }] }
+        };
+        const formData = {
+            Applicant: { Name: 'Jo Doe', City: 'Boston', Staff: [{ Role: 'Lead' }, { Role: 'Analyst' }] }
+        };
+
+        /** Change badge and previous value of each field, keyed by label */
+        const fieldChanges = (element) => {
+            const changes = {};
+            element.shadowRoot.querySelectorAll('.section-content .field-label').forEach(labelElement => {
+                const badge = labelElement.querySelector('.change-badge');
+                const previous = labelElement.parentElement.querySelector('.field-previous-value del');
+                changes[labelElement.firstChild.textContent] = {
+                    change: badge ? badge.textContent : '',
+                    previous: previous ? previous.textContent : ''
+                };
+            });
+            return changes;
+        };
+
+        it('marks added, removed and changed fields and rows against previousFormData', async () => {
+            const element = await createSummary({ formData, labelData, previousFormData });
+
+            expect(fieldChanges(element)).toEqual({
+                Name: { change: 'c.ReviewSummary_Changed', previous: 'Jo' },
+                City: { change: '', previous: '' },
+                Email: { change: 'c.ReviewSummary_Removed', previous: 'jo@example.org' }
+            });
+            const rows = Array.from(element.shadowRoot.querySelectorAll('tbody tr'));
+            expect(rows.map(row => row.className)).toEqual(['', 'row-added']);
+            expect(element.shadowRoot.querySelector('.compare-summary').textContent).toBe('3 changes since the previous version');
+        });
+
+        it('matches array rows by record Id, and by position when a row has none', async () => {
+            const element = await createSummary({
+                labelData,
+                previousFormData: {
+                    Applicant: { Staff: [{ Id: 'a01', Role: 'Lead' }, { Id: 'a02', Role: 'Analyst' }, { Role: 'Intern' }] }
+                },
+                formData: {
+                    Applicant: { Staff: [{ Id: 'a02', Role: 'Analyst' }, { Id: 'a03', Role: 'Lead' }, { Role: 'Fellow' }] }
+                }
+            });
+
+            const rows = Array.from(element.shadowRoot.querySelectorAll('tbody tr')).map(row => {
+                const role = row.querySelectorAll('c-review-field-value')[0].field;
+                return { change: row.className, role: role.displayValue || role.previousDisplayValue };
+            });
+            expect(rows).toEqual([
+                { change: '', role: 'Analyst' },
+                { change: 'row-added', role: 'Lead' },
+                { change: 'row-changed', role: 'Fellow' },
+                { change: 'row-removed', role: 'Lead' }
+            ]);
+        });
+
+        it('shows only changed fields when showChangedOnly is set', async () => {
+            const element = await createSummary({ formData, labelData, previousFormData, showChangedOnly: true });
+
+            expect(Object.keys(fieldChanges(element))).toEqual(['Name', 'Email']);
+        });
+
+        it('shows no compare bar without previousFormData', async () => {
+            const element = await createSummary({ formData, labelData });
+
+            expect(element.shadowRoot.querySelector('.compare-bar')).toBeNull();
+            expect(element.shadowRoot.querySelector('.change-badge')).toBeNull();
+        });
+    });
+
+    describe('snapshots', () => {
+        const snapshot = {
+            id: SNAPSHOT_ID,
+            name: 'RS-00001',
+            proposalId: PROPOSAL_ID,
+            createdByName: 'Reviewer',
+            createdDate: '2026-03-04T14:15:00.000Z',
+            formData: JSON.stringify({ Applicant: { Name: 'Jo (submitted)' } }),
+            labelData: JSON.stringify({ Applicant: { _sectionTitle: 'Applicant', Name: 'Submitted Name' } })
+        };
+
+        it('renders the stored form data with the label JSON it was taken with', async () => {
+            mockActions({ getReviewSnapshot: { snapshot: JSON.stringify(snapshot) } });
+            const element = await createSummary({
+                snapshotId: SNAPSHOT_ID,
+                previousFormData: { Applicant: { Name: 'Jo' } }
+            });
+
+            const snapshotCall = mockExecuteAction.mock.calls.find(([params]) => params.sMethodName === 'getReviewSnapshot');
+            expect(JSON.parse(snapshotCall[0].input)).toEqual({ snapshotId: SNAPSHOT_ID });
+            expect(fieldValues(element)).toEqual({ 'Submitted Name': 'Jo (submitted)' });
+            expect(element.shadowRoot.querySelector('.snapshot-info')).not.toBeNull();
+            // Snapshots are shown as stored, never compared
+            expect(element.shadowRoot.querySelector('.compare-bar')).toBeNull();
+        });
+
+        it('shows an error when the snapshot cannot be read', async () => {
+            mockActions({ getReviewSnapshot: { error: 'Snapshot not found or you do not have access to it.', snapshot: '{}' } });
+            const element = await createSummary({ snapshotId: SNAPSHOT_ID });
+
+            expect(errorText(element)).toContain('Snapshot not found or you do not have access to it.');
+        });
+
+        it('switches between the current data and a snapshot in the version picker', async () => {
+            mockActions({
+                getReviewSnapshots: { snapshots: JSON.stringify([{ id: SNAPSHOT_ID, name: 'RS-00001', createdByName: 'Reviewer' }]) },
+                getReviewSnapshot: { snapshot: JSON.stringify(snapshot) }
+            });
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                labelData: { Applicant: { _sectionTitle: 'Applicant', Name: 'Name' } },
+                recordId: PROPOSAL_ID,
+                showVersionPicker: true
+            });
+            await flushPromises();
+
+            const versionsCall = mockExecuteAction.mock.calls.find(([params]) => params.sMethodName === 'getReviewSnapshots');
+            expect(JSON.parse(versionsCall[0].input)).toEqual({ proposal: PROPOSAL_ID });
+            const picker = element.shadowRoot.querySelector('lightning-combobox.version-picker');
+            expect(picker.options.map(option => option.value)).toEqual(['current', SNAPSHOT_ID]);
+            expect(picker.value).toBe('current');
+
+            picker.dispatchEvent(new CustomEvent('change', { detail: { value: SNAPSHOT_ID } }));
+            await flushPromises();
+            expect(fieldValues(element)).toEqual({ 'Submitted Name': 'Jo (submitted)' });
+
+            picker.dispatchEvent(new CustomEvent('change', { detail: { value: 'current' } }));
+            await flushPromises();
+            expect(fieldValues(element)).toEqual({ Name: 'Jo' });
+        });
+    });
+
+    describe('search', () => {
+        const formData = {
+            Applicant: { Name: 'Jo Doe', City: 'Boston', Staff: [{ Role: 'Lead' }, { Role: 'Analyst' }] },
+            Program: { Focus: 'Math; Science', Summary: 'After-school tutoring' }
+        };
+        const labelData = {
+            Applicant: { _sectionTitle: 'Applicant', Name: 'Name', City: 'City', Staff: { _blockTitle: 'Staff', Role: 'Role' } },
+            Program: { _sectionTitle: 'Program', Focus: 'Focus', Summary: 'Summary' }
+        };
+
+        const search = async (element, value) => {
+            element.shadowRoot.querySelector('lightning-input.search-input')
+                .dispatchEvent(new CustomEvent('change', { detail: { value } }));
+            await flushPromises();
+        };
+
+        const sectionTitles = (element) => Array.from(element.shadowRoot.querySelectorAll('.section-title'))
+            .map(title => title.textContent);
+
+        it('keeps only matching fields, rows and sections and counts the matches', async () => {
+            const element = await createSummary({ formData, labelData, showSearch: true, collapsibleSections: true });
+            element.shadowRoot.querySelector('button.section-toggle[data-section-id="Program"]').click();
+            await flushPromises();
+
+            await search(element, 'SCIENCE');
+            expect(sectionTitles(element)).toEqual(['Program']);
+            expect(element.shadowRoot.querySelector('.section-content')).not.toBeNull();
+            expect(element.shadowRoot.querySelectorAll('.field-search-match')).toHaveLength(1);
+            expect(element.shadowRoot.querySelector('.search-summary').textContent).toBe('c.ReviewSummary_MatchOne');
+
+            await search(element, 'a');
+            expect(sectionTitles(element)).toEqual(['Applicant', 'Program']);
+            expect(Array.from(element.shadowRoot.querySelectorAll('tbody tr'))).toHaveLength(2);
+            expect(element.shadowRoot.querySelector('.search-summary').textContent).toBe('5 matching fields');
+        });
+
+        it('reports no matches and shows everything again once cleared', async () => {
+            const element = await createSummary({ formData, labelData, showSearch: true });
+
+            await search(element, 'zebra');
+            expect(sectionTitles(element)).toEqual([]);
+            expect(element.shadowRoot.querySelector('.search-summary').textContent).toBe('No fields match "zebra"');
+
+            await search(element, ' ');
+            expect(sectionTitles(element)).toEqual(['Applicant', 'Program']);
+            expect(element.shadowRoot.querySelector('.search-summary')).toBeNull();
+        });
+    });
+
+    describe('review comments', () => {
+        const formData = {
+            Applicant: {
+                'First-Name': 'Jo',
+                Staff: [{ Id: ROW_ID, Name: 'Casey' }, { Name: 'Alex' }]
+            }
+        };
+        const labelData = {
+            Applicant: {
+                'First-Name': 'First name',
+                Staff: { _blockTitle: 'Staff', Name: 'Name' }
+            }
+        };
+
+        it('keys comment threads by JSON path and array rows by record Id or position', async () => {
+            mockActions({
+                getReviewComments: {
+                    reviewComments: JSON.stringify({
+                        canComment: true,
+                        comments: [
+                            { id: 'c1', fieldKey: '["Applicant","First-Name"]', comment: 'Check spelling', isFlagged: true, createdByName: 'Reviewer' },
+                            { id: 'c2', fieldKey: `["Applicant","Staff","${ROW_ID}"]`, comment: 'Confirm role', createdByName: 'Reviewer' }
+                        ]
+                    })
+                }
+            });
+            const element = await createSummary({ formData, labelData, reviewerMode: true, recordId: PROPOSAL_ID });
+
+            const threads = {};
+            element.shadowRoot.querySelectorAll('c-review-comment-thread').forEach(threadElement => {
+                threads[threadElement.thread.key] = threadElement.thread;
+            });
+            expect(Object.keys(threads).sort()).toEqual([
+                '["Applicant","First-Name"]',
+                '["Applicant","Staff",2]',
+                `["Applicant","Staff","${ROW_ID}"]`,
+                '["Applicant","Staff"]'
+            ].sort());
+            expect(threads['["Applicant","First-Name"]'].comments.map(comment => comment.comment)).toEqual(['Check spelling']);
+            expect(threads['["Applicant","First-Name"]'].isFlagged).toBe(true);
+            expect(threads[`["Applicant","Staff","${ROW_ID}"]`].comments).toHaveLength(1);
+            expect(threads['["Applicant","Staff",2]'].comments).toHaveLength(0);
+            expect(element.shadowRoot.querySelector('.section-toggle .comment-count-flagged')).not.toBeNull();
+        });
+
+        it('loads no comments outside reviewer mode', async () => {
+            await createSummary({ formData, labelData, recordId: PROPOSAL_ID });
+
+            expect(calledMethods()).not.toContain('getReviewComments');
+        });
+    });
+
+    describe('sections', () => {
+        it('toggles a section from its header button', async () => {
+            const element = await createSummary({
+                formData: { Applicant: { Name: 'Jo' } },
+                labelData: { Applicant: { _sectionTitle: 'Applicant', Name: 'Name' } },
+                collapsibleSections: true,
+                enableSectionEdit: true
+            });
+
+            const toggle = element.shadowRoot.querySelector('button.section-toggle[data-section-id="Applicant"]');
+            expect(toggle.getAttribute('aria-expanded')).toBe('true');
+            expect(toggle.querySelector('.section-title').textContent).toBe('Applicant');
+            expect(toggle.querySelector('.section-edit')).toBeNull();
+
+            toggle.click();
+            await flushPromises();
+
+            expect(toggle.getAttribute('aria-expanded')).toBe('false');
+            expect(element.shadowRoot.querySelector('.section-content')).toBeNull();
+        });
+
+        it('remembers collapsed sections per form when formType is not set', async () => {
+            const formData = { Applicant: { Name: 'Jo', Email: 'jo@example.org' } };
+            const labelData = { Applicant: { _sectionTitle: 'Applicant', Name: 'Name' } };
+            const isExpanded = (element) => element.shadowRoot.querySelector('button.section-toggle[data-section-id="Applicant"]')
+                .getAttribute('aria-expanded');
+
+            const first = await createSummary({ formData, labelData, collapsibleSections: true });
+            first.shadowRoot.querySelector('button.section-toggle[data-section-id="Applicant"]').click();
+            await flushPromises();
+            expect(isExpanded(first)).toBe('false');
+
+            const relabeled = { Applicant: { _sectionTitle: 'Applicant (renamed)', Name: 'Full name' } };
+            expect(isExpanded(await createSummary({ formData, labelData: relabeled, collapsibleSections: true }))).toBe('false');
+
+            const otherForm = { Applicant: { _sectionTitle: 'Applicant', Name: 'Name', Email: 'Email' } };
+            expect(isExpanded(await createSummary({ formData, labelData: otherForm, collapsibleSections: true }))).toBe('true');
+        });
+
+        it('fires sectionedit with the step name outside an OmniScript', async () => {
+            const element = await createSummary({
+                formData: { ApplicantStep: { Name: 'Jo' }, Notes: { Text: 'None' } },
+                labelData: {
+                    Applicant: { _dataKey: 'ApplicantStep', _sectionTitle: 'Applicant', Name: 'Name' },
+                    Notes: { _sectionTitle: 'Notes', _editable: false, Text: 'Text' }
+                },
+                enableSectionEdit: true
+            });
+            const handler = jest.fn();
+            element.addEventListener('sectionedit', handler);
+
+            const editButtons = element.shadowRoot.querySelectorAll('lightning-button.section-edit');
+            expect(editButtons).toHaveLength(1);
+            editButtons[0].click();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail).toEqual({ sectionId: 'Applicant', stepName: 'ApplicantStep' });
+        });
+
+        it('shows an error when the form data cannot be parsed', async () => {
+            const element = await createSummary({ formData: '{not json', labelData: {} });
+
+            expect(element.shadowRoot.querySelector('.slds-theme_error')).not.toBeNull();
+        });
+    });
+
+    describe('renderer parity fixtures', () => {
+        /** Value each field shows (masked or not), keyed by field label */
+        const shownValues = (element) => {
+            const values = {};
+            element.shadowRoot.querySelectorAll('.field-label').forEach(labelElement => {
+                const field = labelElement.nextElementSibling.querySelector('c-review-field-value').field;
+                values[labelElement.textContent] = field.isMasked ? field.maskedValue : field.displayValue;
+            });
+            return values;
+        };
+
+        it.each(parityFixtures.cases.map(fixture => [fixture.name, fixture]))('%s', async (name, fixture) => {
+            const element = await createSummary({ formData: fixture.formData, labelData: fixture.labelData });
+
+            const values = shownValues(element);
+            expect(values).toEqual(expect.objectContaining(fixture.shown));
+            fixture.hidden.forEach(label => expect(values).not.toHaveProperty([label]));
+        });
+    });
+});
@@ -1,43 +1,317 @@
 import { LightningElement, api, track } from 'lwc';
+import { OmniscriptBaseMixin } from 'omnistudio/omniscriptBaseMixin';
+import { OmniscriptActionCommonUtil } from 'omnistudio/omniscriptActionUtils';
+import { validateLabelJson, FIELD_TYPES } from 'c/labelJsonValidator';
+import USER_LOCALE from '@salesforce/i18n/locale';
+import USER_CURRENCY from '@salesforce/i18n/currency';
+import USER_LANGUAGE from '@salesforce/i18n/lang';
+import USER_TIME_ZONE from '@salesforce/i18n/timeZone';
+import USER_ID from '@salesforce/user/Id';
+import LABEL_YES from '@salesforce/label/c.ReviewSummary_Yes';
+import LABEL_NO from '@salesforce/label/c.ReviewSummary_No';
+import LABEL_NO_DATA from '@salesforce/label/c.ReviewSummary_NoData';
+import LABEL_LOADING from '@salesforce/label/c.ReviewSummary_Loading';
+import LABEL_NO_FORM_DATA from '@salesforce/label/c.ReviewSummary_NoFormData';
+import LABEL_PROCESSING_ERROR from '@salesforce/label/c.ReviewSummary_ProcessingError';
+import LABEL_NO_ACTIVE_CONFIG from '@salesforce/label/c.ReviewSummary_NoActiveConfig';
+import LABEL_INVALID_CONFIG from '@salesforce/label/c.ReviewSummary_InvalidConfig';
+import LABEL_BUDGET_REVIEW from '@salesforce/label/c.ReviewSummary_BudgetReview';
+import LABEL_DOCUMENT_REVIEW from '@salesforce/label/c.ReviewSummary_DocumentReview';
+import LABEL_NO_RECORDS from '@salesforce/label/c.ReviewSummary_NoRecords';
+import LABEL_EDIT from '@salesforce/label/c.ReviewSummary_Edit';
+import LABEL_EDIT_SECTION from '@salesforce/label/c.ReviewSummary_EditSection';
+import LABEL_REQUIRED from '@salesforce/label/c.ReviewSummary_Required';
+import LABEL_MISSING_ONE from '@salesforce/label/c.ReviewSummary_MissingOne';
+import LABEL_MISSING_MANY from '@salesforce/label/c.ReviewSummary_MissingMany';
+import LABEL_PRINT from '@salesforce/label/c.ReviewSummary_Print';
+import LABEL_GENERATED_ON from '@salesforce/label/c.ReviewSummary_GeneratedOn';
+import LABEL_ADDED from '@salesforce/label/c.ReviewSummary_Added';
+import LABEL_REMOVED from '@salesforce/label/c.ReviewSummary_Removed';
+import LABEL_CHANGED from '@salesforce/label/c.ReviewSummary_Changed';
+import LABEL_PREVIOUS_VALUE from '@salesforce/label/c.ReviewSummary_PreviousValue';
+import LABEL_SHOW_CHANGED_ONLY from '@salesforce/label/c.ReviewSummary_ShowChangedOnly';
+import LABEL_NO_CHANGES from '@salesforce/label/c.ReviewSummary_NoChanges';
+import LABEL_CHANGE_ONE from '@salesforce/label/c.ReviewSummary_ChangeOne';
+import LABEL_CHANGE_MANY from '@salesforce/label/c.ReviewSummary_ChangeMany';
+import LABEL_VERSION from '@salesforce/label/c.ReviewSummary_Version';
+import LABEL_CURRENT_VERSION from '@salesforce/label/c.ReviewSummary_CurrentVersion';
+import LABEL_SNAPSHOT_OPTION from '@salesforce/label/c.ReviewSummary_SnapshotOption';
+import LABEL_SNAPSHOT_INFO from '@salesforce/label/c.ReviewSummary_SnapshotInfo';
+import LABEL_INVALID_SNAPSHOT from '@salesforce/label/c.ReviewSummary_InvalidSnapshot';
+import LABEL_SEARCH from '@salesforce/label/c.ReviewSummary_Search';
+import LABEL_SEARCH_PLACEHOLDER from '@salesforce/label/c.ReviewSummary_SearchPlaceholder';
+import LABEL_MATCH_ONE from '@salesforce/label/c.ReviewSummary_MatchOne';
+import LABEL_MATCH_MANY from '@salesforce/label/c.ReviewSummary_MatchMany';
+import LABEL_NO_MATCHES from '@salesforce/label/c.ReviewSummary_NoMatches';
+import LABEL_EXPAND_ALL from '@salesforce/label/c.ReviewSummary_ExpandAll';
+import LABEL_COLLAPSE_ALL from '@salesforce/label/c.ReviewSummary_CollapseAll';
+import LABEL_SECTION_NAVIGATION from '@salesforce/label/c.ReviewSummary_SectionNavigation';
+import LABEL_FIELDS_ANSWERED from '@salesforce/label/c.ReviewSummary_FieldsAnswered';
+import LABEL_CHARACTER_COUNT from '@salesforce/label/c.ReviewSummary_CharacterCount';
+import LABEL_TOTAL from '@salesforce/label/c.ReviewSummary_Total';
+import LABEL_ROW_RANGE from '@salesforce/label/c.ReviewSummary_RowRange';
+import LABEL_PREVIOUS_PAGE from '@salesforce/label/c.ReviewSummary_PreviousPage';
+import LABEL_NEXT_PAGE from '@salesforce/label/c.ReviewSummary_NextPage';
+import LABEL_LABEL_DIAGNOSTICS from '@salesforce/label/c.ReviewSummary_LabelDiagnostics';
+import LABEL_DIAGNOSTICS_SUMMARY from '@salesforce/label/c.ReviewSummary_DiagnosticsSummary';
+import LABEL_NO_DIAGNOSTICS from '@salesforce/label/c.ReviewSummary_NoDiagnostics';
+import LABEL_STARTER_LABEL_JSON from '@salesforce/label/c.ReviewSummary_StarterLabelJson';
+import LABEL_STARTER_LABEL_JSON_HELP from '@salesforce/label/c.ReviewSummary_StarterLabelJsonHelp';
+import LABEL_COPY from '@salesforce/label/c.ReviewSummary_Copy';
+import LABEL_COPIED from '@salesforce/label/c.ReviewSummary_Copied';
+import LABEL_COPY_FAILED from '@salesforce/label/c.ReviewSummary_CopyFailed';
+import LABEL_DURATION_HOURS from '@salesforce/label/c.ReviewSummary_DurationHours';
+import LABEL_DURATION_MINUTES from '@salesforce/label/c.ReviewSummary_DurationMinutes';
+import LABEL_DURATION_SECONDS from '@salesforce/label/c.ReviewSummary_DurationSeconds';
+import LABEL_REVEAL_FAILED from '@salesforce/label/c.ReviewSummary_RevealFailed';
+import LABEL_COMMENT_ONE from '@salesforce/label/c.ReviewSummary_CommentOne';
+import LABEL_COMMENT_MANY from '@salesforce/label/c.ReviewSummary_CommentMany';
+import LABEL_COMMENT_BY_LINE from '@salesforce/label/c.ReviewSummary_CommentByLine';
+import LABEL_COMMENT_SAVE_FAILED from '@salesforce/label/c.ReviewSummary_CommentSaveFailed';
+
+// Built-in UI strings (Custom Labels, translatable via Translation Workbench)
+const LABELS = {
+    yes: LABEL_YES,
+    no: LABEL_NO,
+    noData: LABEL_NO_DATA,
+    loading: LABEL_LOADING,
+    noFormData: LABEL_NO_FORM_DATA,
+    processingError: LABEL_PROCESSING_ERROR,
+    noActiveConfig: LABEL_NO_ACTIVE_CONFIG,
+    invalidConfig: LABEL_INVALID_CONFIG,
+    budgetReview: LABEL_BUDGET_REVIEW,
+    documentReview: LABEL_DOCUMENT_REVIEW,
+    noRecords: LABEL_NO_RECORDS,
+    edit: LABEL_EDIT,
+    editSection: LABEL_EDIT_SECTION,
+    required: LABEL_REQUIRED,
+    missingOne: LABEL_MISSING_ONE,
+    missingMany: LABEL_MISSING_MANY,
+    print: LABEL_PRINT,
+    generatedOn: LABEL_GENERATED_ON,
+    added: LABEL_ADDED,
+    removed: LABEL_REMOVED,
+    changed: LABEL_CHANGED,
+    previousValue: LABEL_PREVIOUS_VALUE,
+    showChangedOnly: LABEL_SHOW_CHANGED_ONLY,
+    noChanges: LABEL_NO_CHANGES,
+    changeOne: LABEL_CHANGE_ONE,
+    changeMany: LABEL_CHANGE_MANY,
+    version: LABEL_VERSION,
+    currentVersion: LABEL_CURRENT_VERSION,
+    snapshotOption: LABEL_SNAPSHOT_OPTION,
+    snapshotInfo: LABEL_SNAPSHOT_INFO,
+    invalidSnapshot: LABEL_INVALID_SNAPSHOT,
+    search: LABEL_SEARCH,
+    searchPlaceholder: LABEL_SEARCH_PLACEHOLDER,
+    matchOne: LABEL_MATCH_ONE,
+    matchMany: LABEL_MATCH_MANY,
+    noMatches: LABEL_NO_MATCHES,
+    expandAll: LABEL_EXPAND_ALL,
+    collapseAll: LABEL_COLLAPSE_ALL,
+    sectionNavigation: LABEL_SECTION_NAVIGATION,
+    fieldsAnswered: LABEL_FIELDS_ANSWERED,
+    characterCount: LABEL_CHARACTER_COUNT,
+    total: LABEL_TOTAL,
+    rowRange: LABEL_ROW_RANGE,
+    previousPage: LABEL_PREVIOUS_PAGE,
+    nextPage: LABEL_NEXT_PAGE,
+    labelDiagnostics: LABEL_LABEL_DIAGNOSTICS,
+    diagnosticsSummary: LABEL_DIAGNOSTICS_SUMMARY,
+    noDiagnostics: LABEL_NO_DIAGNOSTICS,
+    starterLabelJson: LABEL_STARTER_LABEL_JSON,
+    starterLabelJsonHelp: LABEL_STARTER_LABEL_JSON_HELP,
+    copy: LABEL_COPY,
+    copied: LABEL_COPIED,
+    copyFailed: LABEL_COPY_FAILED,
+    durationHours: LABEL_DURATION_HOURS,
+    durationMinutes: LABEL_DURATION_MINUTES,
+    durationSeconds: LABEL_DURATION_SECONDS,
+    revealFailed: LABEL_REVEAL_FAILED,
+    commentOne: LABEL_COMMENT_ONE,
+    commentMany: LABEL_COMMENT_MANY,
+    commentByLine: LABEL_COMMENT_BY_LINE,
+    commentSaveFailed: LABEL_COMMENT_SAVE_FAILED
+};
+
+// sessionStorage key prefix for expanded/collapsed section state (per user and form type)
+const SECTION_STATE_KEY = 'intakeFormReviewSummary.sections';
+
+// Version picker value for the live (non-snapshot) form data
+const CURRENT_VERSION = 'current';
+
+// Compare mode badge text by change type
+const CHANGE_LABELS = {
+    added: LABELS.added,
+    removed: LABELS.removed,
+    changed: LABELS.changed
+};
+
+const DEFAULT_RECORD_ID_FIELDS = ['recordId', 'proposalId', 'ProposalId', 'proposalID', 'Proposal__c', 'proposal__c'];
 
 /**
- * Config-driven synthetic sections. Budget step: embed c-budget-display-read-only (same omnistudio namespace; fetches via OmniScript action).
- * Document step: embed c-document-display-read-only (same pattern).
+ * Default synthetic sections, used when neither the syntheticSections property nor the label JSON
+ * _syntheticSections key declares any. Budget type: embed c-budget-display-read-only (same omnistudio namespace;
+ * fetches via OmniScript action). Document type: embed c-document-display-read-only (same pattern).
  */
-const SECTION_CONFIG = {
+const DEFAULT_SECTION_CONFIG = {
     BudgetStep: {
+        type: 'budget',
         order: 4.5,
         isVisible: false,
-        sectionTitle: 'Budget Review',
-        recordIdFields: ['recordId', 'proposalId', 'ProposalId', 'proposalID', 'Proposal__c', 'proposal__c'],
+        sectionTitle: LABELS.budgetReview,
+        recordIdFields: DEFAULT_RECORD_ID_FIELDS,
         recordPageObject: 'Proposal__c'
     },
     DocumentStep: {
+        type: 'document',
         order: 4.6,
         isVisible: false,
-        sectionTitle: 'Document Review',
-        recordIdFields: ['recordId', 'proposalId', 'ProposalId', 'proposalID', 'Proposal__c', 'proposal__c'],
+        sectionTitle: LABELS.documentReview,
+        recordIdFields: DEFAULT_RECORD_ID_FIELDS,
         recordPageObject: 'Proposal__c'
     }
 };
 
+/**
+ * relatedList type: rows of any object related to the Proposal, fetched via IntakeFormReviewSummaryController.getRelatedListDetail
+ * and rendered as an array table. Declared with objectApiName, parentField (lookup to the record), fields (array-block labels
+ * keyed by field path, e.g. { "Name": "Name", "Email__c": { "label": "Email", "type": "email" } }), optional orderBy, rowLimit, emptyMessage.
+ */
+const SYNTHETIC_SECTION_TYPES = ['budget', 'document', 'relatedList'];
+
+// Regions using North American phone numbering ((XXX) XXX-XXXX)
+const NANP_REGIONS = ['US', 'CA'];
+
+// Lines shown for longtext fields before "Show more" (override with longTextLines or a field's lines)
+const DEFAULT_LONG_TEXT_LINES = 4;
+
+// Named character references decoded when richtext is reduced to plain text (numeric references are decoded too)
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Salesforce record Id (15 or 18 characters) for lookup fields
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+
+// Operators for computed fields in label JSON ("compute"); see evaluateCompute
+const COMPUTE_OPERATORS = ['sum', 'avg', 'min', 'max', 'count', 'add', 'subtract', 'multiply', 'divide', 'concat', 'age'];
+
+// Language used when the user's language has no entry in a multilingual label (override with label JSON _defaultLanguage)
+const DEFAULT_LANGUAGE = 'en_US';
+
+// designMode: text fields longer than this get colspan 12 in the starter label JSON
+const STARTER_WIDE_TEXT_LENGTH = 80;
+
+// dateFormat presets in label JSON (Intl dateStyle); 'iso' keeps YYYY-MM-DD
+const DATE_STYLES = ['short', 'medium', 'long', 'full'];
+
+/**
+ * Built-in type detection for fields without an explicit type, checked after the registered field types
+ * (Review_Field_Type__mdt). keyPattern is matched against the key's words (getKeyWords), valuePattern against
+ * the trimmed value; with both, both must match. Label JSON _keyTypeDetection: false turns off the key rules.
+ */
+const DETECTION_RULES = [
+    { type: 'email', keyPattern: /\be[- ]?mail/i },
+    { type: 'phone', keyPattern: /\b(tele)?phone|\btel\b/i },
+    { type: 'currency', keyPattern: /\b(amount|budget|cost|price)/i, valuePattern: /^(-?\d+(\.\d+)?)?$/ },
+    { type: 'date', keyPattern: /\bdate/i },
+    { type: 'date', valuePattern: /^\d{4}-\d{2}-\d{2}$/ },
+    { type: 'url', valuePattern: /^https?:\/\/[^\s/?#]+\S*$/i }
+];
+
+// Field label properties passed to the formatters (over the registered type's format options)
+const FORMAT_OPTION_PROPERTIES = ['currency', 'locale', 'dateFormat', 'timeZone'];
+
+// duration format: seconds per "unit" option (default minutes)
+const DURATION_UNITS = { seconds: 1, minutes: 60, hours: 3600 };
+
+// ISO 8601 duration (P1DT2H30M, PT45S)
+const ISO_DURATION_PATTERN = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+// Time of day (14:30, 14:30:00.000Z as saved by the OmniScript Time element)
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/i;
+
 /**
  * @description Utility LWC to display Review and Summary for intake forms
  *              Works on record pages and as custom LWC inside OmniStudio
  *              Handles nested objects and arrays dynamically
  */
-export default class IntakeFormReviewSummary extends LightningElement {
+export default class IntakeFormReviewSummary extends OmniscriptBaseMixin(LightningElement) {
 
-    // OmniScript data - received when used as Custom LWC in OmniStudio
-    @api omniJsonData;
+    // OmniScript data (omniJsonData) is provided by OmniscriptBaseMixin when used as Custom LWC in OmniStudio
 
     // API properties for use on record pages
     @api formData;
     @api labelData;
     @api title = '';
     @api hideEmptyFields = false;
+    // Show Expand All / Collapse All controls above the sections
     @api collapsibleSections = false;
 
+    // Show an Edit action on form section headers: jumps to the OmniScript step (section data key) inside OmniStudio,
+    // otherwise fires a sectionedit event ({ sectionId, stepName }). Sections can opt out with _editable: false.
+    @api enableSectionEdit = false;
+
+    // Form_Review_Config__mdt.Form_Type__c - loads Label_JSON__c of the active config via
+    // IntakeFormReviewSummaryController.getFormConfig (labelData, when set, still takes precedence)
+    @api formType;
+
+    // Synthetic section declarations (JSON string or object keyed by section id); overrides label JSON _syntheticSections
+    @api syntheticSections;
+
+    // Print layout: every section expanded, no chevrons or Edit actions, print header (title, record name, timestamp)
+    @api printMode = false;
+
+    // Show a Print button in the header: switches to the print layout, waits for budget/document data, then prints
+    @api showPrintButton = false;
+
+    // Record name shown in the print header (e.g. the proposal name)
+    @api recordName;
+
+    // Compare mode: earlier version of the form data (same shape as formData); fields, block rows and
+    // array items are marked added / removed / changed with the previous value shown inline
+    @api previousFormData;
+
+    // Record Id from the record page (proposal); used to list snapshots for the version picker
+    @api recordId;
+
+    // Review_Snapshot__c Id: render that stored snapshot (its form data and label JSON) instead of the live data
+    @api snapshotId;
+
+    // Show a version picker listing the proposal's snapshots (IntakeFormReviewSummaryController.getReviewSnapshots)
+    @api showVersionPicker = false;
+
+    // Show a search box in the header that filters fields by label and value as you type
+    @api showSearch = false;
+
+    // Lines shown for longtext fields before the Show more toggle (a field's "lines" overrides it)
+    @api longTextLines = DEFAULT_LONG_TEXT_LINES;
+
+    // Section navigation (table of contents) with per-section completeness; navigationPosition 'side' (sticky sidebar) or 'top'
+    @api showNavigation = false;
+    @api navigationPosition = 'side';
+
+    // Admin aid: list label JSON problems (typos, unknown types, labels without data, unlabeled data keys)
+    // found by c/labelJsonValidator above the summary
+    @api debugMode = false;
+
+    // Admin aid: show a starter label JSON generated from the form data (see generateLabelJson) with a Copy button
+    @api designMode = false;
+
+    // Reviewer comments on the proposal (IntakeFormReviewSummaryController.getReviewComments): reviewerMode adds a
+    // comment / flag control to each field, array row and block for users who can create Review_Comment__c;
+    // showComments only lists existing comments (applicants see them while the proposal is in Assign Back)
+    @api reviewerMode = false;
+    @api showComments = false;
+
+    // Compare mode: show only changed fields (the reviewer can switch it in the compare bar)
+    @api
+    get showChangedOnly() {
+        return this._showChangedOnly;
+    }
+    set showChangedOnly(value) {
+        this._showChangedOnly = value === true || value === 'true';
+    }
+
     // Configurable fields to skip (comma-separated string or array)
     @api
     get skipFieldsList() {
@@ -51,33 +325,152 @@ export default class IntakeFormReviewSummary extends LightningElement {
         }
     }
 
+    // Custom Labels for the template
+    labels = LABELS;
+
     // Track processed data for rendering
     @track processedSections = [];
     @track isLoading = true;
     @track hasError = false;
     @track errorMessage = '';
+    // Required fields without a value ({ anchorId, sectionId, sectionTitle, label })
+    @track missingFields = [];
+    // debugMode: validateLabelJson result for the rendered label JSON and form data (null when off)
+    labelDiagnostics = null;
+    // designMode: starter label JSON text for the form data, and the Copy button result ('', 'copied', 'failed')
+    starterLabelJson = null;
+    _copyStatus = '';
 
     // Internal data holders
     _formData = null;
     _labelData = null;
+    _previousFormData = null;
+    _showChangedOnly = false;
+    // Search box text (trimmed); empty when not searching
+    _searchTerm = '';
+    // Compare mode: number of changed fields and array rows
+    changeCount = 0;
+
+    // Snapshot mode: Id requested from the server, the loaded snapshot (form/label data parsed) or its error
+    _snapshotLoadId = null;
+    _snapshot = null;
+    _snapshotError = '';
+    // Version picker: selected value (undefined = snapshotId property), snapshots of _versionsParentId (newest first)
+    _selectedVersion;
+    _versionsParentId = null;
+    @track snapshotVersions = [];
 
     // Default fields to skip (can be overridden via skipFieldsList)
     _skipFields = [];
 
     _lastOmniDataHash = null;
     _isInitialized = false;
+    // anchorId to scroll to after the next render (missing-field link into a collapsed section)
+    _pendingScrollAnchor = null;
+
+    _actionUtil;
+    // Registered field types (Review_Field_Type__mdt) in detection order, as { type, format, options, keyPattern,
+    // valuePattern }; null until getFieldTypes returns (only the built-in types apply until then)
+    _fieldTypes = null;
+    _fieldTypesRequested = false;
+    // Sensitive fields: Reveal allowed for the running user (getSensitiveAccess; null until loaded)
+    // and the revealKeys revealed in this session (kept when the data is re-processed)
+    _canRevealSensitive = null;
+    _sensitiveAccessRequested = false;
+    _revealedFields = new Set();
+    // Review comments by comment key (see applyComments); _canComment once the server allows it in reviewerMode.
+    // _commentSave: comment being saved { key, isSaving, error }
+    _commentsByKey = {};
+    _commentsParentId = null;
+    _canComment = false;
+    _commentSave = {};
+    // Label config loaded from Custom Metadata for formType (null until the action returns)
+    _configFormType = null;
+    _configLabelData = null;
+    _configError = '';
+    // relatedList rows keyed by `${sectionId}|${recordId}`: { status: 'loading'|'loaded'|'error', records, message }
+    _relatedListCache = {};
+    // Lookup field record names by Id (null when the Id could not be resolved); filled by loadRecordNames
+    _recordNames = {};
+
+    // Expanded state by section id (true/false) chosen by the user; persisted in sessionStorage under _sectionStateKey
+    _sectionState = {};
+    _sectionStateKey = null;
+
+    // Section navigation: section in view (highlighted) and the IntersectionObserver tracking it
+    _activeSectionId = null;
+    _sectionObserver = null;
+    _observedSectionKey = '';
+    _sectionsInView = new Set();
+
+    // Array tables: { sortBy, sortDirection, page } by `${sectionId}.${blockId}` (see applyTableState)
+    _tableState = {};
+
+    // Print button flow: print layout is on while _isPrinting; window.print() waits for _printRequested to be ready
+    _isPrinting = false;
+    _printRequested = false;
+    // Section ids whose budget/document child has fired loadcomplete
+    _loadedChildSections = new Set();
+    // When the review content was generated (shown in the print header)
+    _generatedAt = null;
+    _handleAfterPrint = () => {
+        this._isPrinting = false;
+    };
+
+    // Formatters by format name (see formatValue); registered field types render with one of these
+    _formatters = {
+        currency: (value, locale, options) => this.formatCurrency(value, locale, options),
+        number: (value, locale) => this.formatNumber(value, locale),
+        percent: (value, locale, options) => this.formatPercent(value, locale, options),
+        phone: (value, locale) => this.formatPhoneNumber(value, locale),
+        // Email: lowercase, trimmed
+        email: (value) => String(value).trim().toLowerCase(),
+        // Rich text: plain text here; the HTML itself renders through lightning-formatted-rich-text
+        richtext: (value) => this.htmlToText(value) || '—',
+        // Long text: kept as entered (line breaks preserved in the UI)
+        longtext: (value) => String(value).trim() || '—',
+        // URL: shown as entered (trimmed)
+        url: (value) => String(value).trim(),
+        // Lookup: record name once loaded (loadRecordNames), else the Id
+        lookup: (value) => {
+            const recordId = String(value).trim();
+            return this._recordNames[recordId] || recordId;
+        },
+        date: (value, locale, options) => this.formatDate(value, locale, options.dateFormat),
+        datetime: (value, locale, options) => this.formatDateTime(value, locale, options),
+        time: (value, locale, options) => this.formatTime(value, locale, options),
+        duration: (value, locale, options) => this.formatDuration(value, locale, options),
+        masked: (value, locale, options) => this.formatMasked(value, options),
+        pattern: (value, locale, options) => this.formatPattern(value, options)
+    };
 
     connectedCallback() {
-        if (this.omniJsonData || this.formData) {
+        this._actionUtil = new OmniscriptActionCommonUtil();
+        window.addEventListener('afterprint', this._handleAfterPrint);
+        if (this.omniJsonData || this.formData || this.snapshotId) {
             this.initializeData();
         }
     }
 
+    disconnectedCallback() {
+        window.removeEventListener('afterprint', this._handleAfterPrint);
+        this.stopObservingSections();
+    }
+
     /**
      * @description Re-initialize when omniJsonData changes (OmniScript navigation)
      *              Also handles initial data arrival in OmniScript Preview
      */
     renderedCallback() {
+        if (this._pendingScrollAnchor) {
+            const anchorId = this._pendingScrollAnchor;
+            this._pendingScrollAnchor = null;
+            this.scrollToAnchor(anchorId);
+        }
+
+        this.printWhenReady();
+        this.observeSections();
+
         // Handle initial data arrival or data changes
         if (this.omniJsonData) {
             const currentHash = JSON.stringify(this.omniJsonData);
@@ -85,7 +478,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
                 this._lastOmniDataHash = currentHash;
                 this.initializeData();
             }
-        } else if (!this._isInitialized && this.formData) {
+        } else if (!this._isInitialized && (this.formData || this.snapshotId)) {
             this.initializeData();
         }
     }
@@ -99,6 +492,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
         this.errorMessage = '';
         this.isLoading = true;
         this._isInitialized = true;
+        this._previousFormData = null;
 
         try {
             // Try to get data from OmniScript first
@@ -130,6 +524,13 @@ export default class IntakeFormReviewSummary extends LightningElement {
                 } else {
                     this._labelData = labelSource;
                 }
+
+                // Compare mode: previous version of the form data (object or JSON string)
+                if (this.omniJsonData.previousFormData) {
+                    this._previousFormData = typeof this.omniJsonData.previousFormData === 'string'
+                        ? JSON.parse(this.omniJsonData.previousFormData)
+                        : this.omniJsonData.previousFormData;
+                }
             }
 
             // Override with API properties if provided (for Record Page usage)
@@ -139,50 +540,350 @@ export default class IntakeFormReviewSummary extends LightningElement {
                     : this.formData;
             }
 
-            if (this.labelData) {
+            if (this.previousFormData) {
+                this._previousFormData = typeof this.previousFormData === 'string'
+                    ? JSON.parse(this.previousFormData)
+                    : this.previousFormData;
+            }
+
+            const snapshotId = this.activeSnapshotId;
+            if (snapshotId) {
+                // Snapshot mode: stored form data with the label JSON it was taken with; stay in loading state until it arrives
+                if (this._snapshotLoadId !== snapshotId) {
+                    this.loadSnapshot(snapshotId);
+                    return;
+                }
+                if (this._snapshotError) {
+                    this.hasError = true;
+                    this.errorMessage = this._snapshotError;
+                    this.isLoading = false;
+                    return;
+                }
+                this._formData = this._snapshot.formData;
+                this._labelData = this._snapshot.labelData;
+                this._previousFormData = null;
+            } else if (this.labelData) {
                 this._labelData = typeof this.labelData === 'string'
                     ? JSON.parse(this.labelData)
                     : this.labelData;
+            } else if (this.formType) {
+                // Label config from Form_Review_Config__mdt; stay in loading state until it arrives
+                if (this._configFormType !== this.formType) {
+                    this.loadFormConfig();
+                    return;
+                }
+                if (this._configError) {
+                    this.hasError = true;
+                    this.errorMessage = this._configError;
+                    this.isLoading = false;
+                    return;
+                }
+                this._labelData = this._configLabelData;
             }
 
+            // Registered field types load in the background: render with the built-in types now, again when they arrive
+            this.loadFieldTypes();
+
             if (this._formData) {
                 this.processFormData();
+                this.loadSnapshotVersions();
             } else {
                 this.hasError = true;
-                this.errorMessage = 'No form data provided.';
+                this.errorMessage = LABELS.noFormData;
             }
 
             this.isLoading = false;
         } catch (error) {
             console.error('Error initializing data:', error);
             this.hasError = true;
-            this.errorMessage = 'Error processing form data: ' + error.message;
+            this.errorMessage = this.formatLabel(LABELS.processingError, error.message);
             this.isLoading = false;
         }
     }
 
+    /**
+     * @description Fetch the active Label_JSON__c for formType (IntakeFormReviewSummaryController.getFormConfig)
+     * and re-initialize once it arrives. Missing/inactive config surfaces as an error message.
+     */
+    loadFormConfig() {
+        const formType = this.formType;
+        this._configFormType = formType;
+        this._configLabelData = null;
+        this._configError = '';
+        if (!this._actionUtil) return;
+
+        const params = {
+            input: JSON.stringify({ formType: formType }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getFormConfig',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                // Ignore stale responses when formType changed while the request was in flight
+                if (formType !== this._configFormType) return;
+                const result = response && response.result;
+                const errMsg = result && (result.error || result.message);
+                if (errMsg) {
+                    this._configError = errMsg;
+                } else {
+                    try {
+                        const parsed = result && result.labelJson ? JSON.parse(result.labelJson) : null;
+                        if (parsed && typeof parsed === 'object') {
+                            this._configLabelData = parsed;
+                        } else {
+                            this._configError = this.formatLabel(LABELS.noActiveConfig, formType);
+                        }
+                    } catch (e) {
+                        console.warn('Failed to parse Label_JSON__c for form type ' + formType + ':', e);
+                        this._configError = this.formatLabel(LABELS.invalidConfig, formType);
+                    }
+                }
+                this.initializeData();
+            })
+            .catch((err) => {
+                if (formType !== this._configFormType) return;
+                this._configError = (err && (err.message || err.body?.message)) || String(err);
+                this.initializeData();
+            });
+    }
+
+    /**
+     * @description Fetch the registered field types (IntakeFormReviewSummaryController.getFieldTypes) once. The page
+     * renders with the built-in types meanwhile and is processed again when registered types arrive; on failure only
+     * the built-in types are used.
+     */
+    loadFieldTypes() {
+        if (this._fieldTypesRequested || !this._actionUtil) return;
+        this._fieldTypesRequested = true;
+
+        const params = {
+            input: '{}',
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getFieldTypes',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                const result = response && response.result;
+                const errMsg = result && (result.error || result.message);
+                if (errMsg) {
+                    console.warn('Failed to load field types:', errMsg);
+                    this._fieldTypes = [];
+                } else {
+                    this._fieldTypes = this.parseFieldTypes(result && result.fieldTypes);
+                }
+                // Re-render only when something already rendered with the built-in types and the registry adds to
+                // them; a pending config / snapshot load picks the types up when it re-initializes
+                if (this._fieldTypes.length && !this.isLoading && !this.hasError && this._formData) {
+                    this.initializeData();
+                }
+            })
+            .catch((err) => {
+                console.warn('Failed to load field types:', err);
+                this._fieldTypes = [];
+            });
+    }
+
+    /**
+     * @description Registry entries from the getFieldTypes JSON: patterns compiled (case-insensitive) and options parsed.
+     * Types with an unknown format or an invalid pattern are left out (console warning).
+     * @param {string|object[]} fieldTypes - [{ type, format, options, keyPattern, valuePattern }]
+     * @returns {object[]} { type, format, options, keyPattern, valuePattern } with RegExp patterns
+     */
+    parseFieldTypes(fieldTypes) {
+        let records = fieldTypes || [];
+        if (typeof records === 'string') {
+            try {
+                records = JSON.parse(records);
+            } catch (e) {
+                console.warn('Failed to parse field types:', e);
+                return [];
+            }
+        }
+        if (!Array.isArray(records)) return [];
+
+        const registry = [];
+        for (const record of records) {
+            if (!this.isObject(record) || !record.type || !FIELD_TYPES.includes(record.format)) {
+                console.warn('Ignoring field type with an unknown format:', record);
+                continue;
+            }
+            try {
+                const options = typeof record.options === 'string' && record.options.trim()
+                    ? JSON.parse(record.options)
+                    : record.options;
+                registry.push({
+                    type: String(record.type).trim(),
+                    format: record.format,
+                    options: this.isObject(options) ? options : {},
+                    keyPattern: record.keyPattern ? new RegExp(record.keyPattern, 'i') : null,
+                    valuePattern: record.valuePattern ? new RegExp(record.valuePattern, 'i') : null
+                });
+            } catch (e) {
+                console.warn(`Ignoring field type "${record.type}" (invalid options or pattern):`, e);
+            }
+        }
+        return registry;
+    }
+
+    /**
+     * @description Fetch a Review_Snapshot__c (IntakeFormReviewSummaryController.getReviewSnapshot) and
+     * re-initialize once it arrives. A missing or unreadable snapshot surfaces as an error message.
+     */
+    loadSnapshot(snapshotId) {
+        this._snapshotLoadId = snapshotId;
+        this._snapshot = null;
+        this._snapshotError = '';
+        if (!this._actionUtil) return;
+
+        const params = {
+            input: JSON.stringify({ snapshotId: snapshotId }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getReviewSnapshot',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                // Ignore stale responses when another version was picked while the request was in flight
+                if (snapshotId !== this._snapshotLoadId) return;
+                const result = response && response.result;
+                const errMsg = result && (result.error || result.message);
+                if (errMsg) {
+                    this._snapshotError = errMsg;
+                } else {
+                    try {
+                        const snapshot = JSON.parse(result.snapshot);
+                        this._snapshot = {
+                            ...snapshot,
+                            formData: JSON.parse(snapshot.formData),
+                            labelData: JSON.parse(snapshot.labelData)
+                        };
+                    } catch (e) {
+                        console.warn('Failed to parse review snapshot ' + snapshotId + ':', e);
+                        this._snapshotError = this.formatLabel(LABELS.invalidSnapshot, snapshotId);
+                    }
+                }
+                this.initializeData();
+            })
+            .catch((err) => {
+                if (snapshotId !== this._snapshotLoadId) return;
+                this._snapshotError = (err && (err.message || err.body?.message)) || String(err);
+                this.initializeData();
+            });
+    }
+
+    /**
+     * @description Version picker: list the proposal's snapshots (IntakeFormReviewSummaryController.getReviewSnapshots)
+     */
+    loadSnapshotVersions() {
+        if (!this.showVersionPicker || !this._actionUtil) return;
+        const parentId = this.getParentRecordId();
+        if (!parentId || parentId === this._versionsParentId) return;
+        this._versionsParentId = parentId;
+
+        const params = {
+            input: JSON.stringify({ proposal: parentId }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getReviewSnapshots',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                if (parentId !== this._versionsParentId) return;
+                const result = response && response.result;
+                if (result && result.error) {
+                    console.warn('Failed to load review snapshots:', result.error);
+                }
+                const raw = result && result.snapshots ? JSON.parse(result.snapshots) : [];
+                this.snapshotVersions = Array.isArray(raw) ? raw : [];
+            })
+            .catch((err) => {
+                console.warn('Failed to load review snapshots:', err);
+                this.snapshotVersions = [];
+            });
+    }
+
+    /**
+     * @description Proposal of the review: recordId, the open snapshot's proposal, or the record id found in the form data
+     */
+    getParentRecordId() {
+        return this.recordId
+            || (this._snapshot && this._snapshot.proposalId)
+            || this.getRecordIdFromConfig({});
+    }
+
     /**
      * @description Process form data into sections for rendering
      * Only processes sections that have labels defined in labelData.
-     * Section order: form sections use labelData _order; synthetic sections (Budget, Document) use SECTION_CONFIG order.
+     * Section order: form sections use labelData _order; synthetic sections (Budget, Document) use their declared order.
      * All sections are combined and sorted by order (ascending)—no insert-by-index logic.
+     * With previousFormData, form sections are compared against the previous version first (compare mode).
      */
     processFormData() {
+        const sections = this.buildFormSections();
+        this.changeCount = this._previousFormData
+            ? this.applyChanges(sections, this.buildPreviousSections())
+            : 0;
+
+        // Add synthetic sections (Budget Review, Document Review) and re-sort so order is
+        // strictly from the synthetic section config and labelData _order (form). No insert-by-index.
+        const syntheticSections = this.buildSyntheticSections();
+        if (syntheticSections.length > 0) {
+            sections.push(...syntheticSections);
+            sections.sort((a, b) => a.order - b.order);
+        }
+
+        this.applySectionState(sections);
+        this.missingFields = this.collectMissingFields(sections);
+        this.applySensitiveState(sections);
+        this.applyComments(sections);
+        this.labelDiagnostics = this.debugMode
+            ? validateLabelJson(this._labelData, this._formData, {
+                skipKeys: [...this._skipFields, ...Object.keys(this.getSyntheticSectionConfig())],
+                fieldTypes: (this._fieldTypes || []).map(fieldType => fieldType.type)
+            })
+            : null;
+        this.starterLabelJson = this.designMode ? JSON.stringify(this.generateLabelJson(), null, 2) : null;
+        this._copyStatus = '';
+        this.processedSections = sections;
+        this._generatedAt = new Date();
+        this.loadRelatedLists();
+        this.loadRecordNames();
+        this.loadSensitiveAccess();
+        this.loadReviewComments();
+    }
+
+    /**
+     * @description Form sections (label-driven) from this._formData, sorted by _order
+     */
+    buildFormSections() {
         const sections = [];
 
         // Get all section keys from labelData
         const keysToProcess = this._labelData ? Object.keys(this._labelData) : [];
 
         for (const key of keysToProcess) {
-            // Skip system fields (configurable via skipFieldsList)
-            if (this._skipFields.includes(key)) continue;
+            // Skip system fields (configurable via skipFieldsList) and top-level config keys (e.g. _syntheticSections)
+            if (this._skipFields.includes(key) || key.startsWith('_')) continue;
 
-            let value = this._formData[key];
             const labelInfo = this._labelData[key];
 
             // Skip if labelInfo is not a section (e.g. internal keys)
             if (!labelInfo || typeof labelInfo !== 'object') continue;
 
+            // _dataKey: form data key when it differs from the label key (e.g. renamed OmniScript step)
+            const dataKey = this.resolveDataKey(key, labelInfo);
+            let value = this._formData[dataKey];
+
             // Parse JSON string if the value is a string (from Long Text Area fields)
             if (typeof value === 'string') {
                 try {
@@ -193,6 +894,9 @@ export default class IntakeFormReviewSummary extends LightningElement {
                 }
             }
 
+            // Section-level visibleWhen (evaluated against this step, then the whole form data)
+            if (!this.isVisibleByCondition(labelInfo, [value, this._formData])) continue;
+
             // When value is missing (e.g. internal user OmniScript only passed labelData, not step data),
             // still add a section so the header appears; processSection with empty object yields section with no blocks/fields
             if (value === undefined || value === null) {
@@ -206,6 +910,11 @@ export default class IntakeFormReviewSummary extends LightningElement {
                     section.order = (labelInfo && typeof labelInfo._order === 'number')
                         ? labelInfo._order
                         : 999;
+                    // OmniScript step name = form data key of the section
+                    section.stepName = dataKey;
+                    // Snapshots are historical; no editing
+                    section.showEditAction = !!this.enableSectionEdit && !this.isSnapshotMode && labelInfo._editable !== false;
+                    section.editTitle = this.formatLabel(LABELS.editSection, section.title);
                     sections.push(section);
                 }
             }
@@ -213,134 +922,754 @@ export default class IntakeFormReviewSummary extends LightningElement {
 
         // Sort sections by _order property (ascending)
         sections.sort((a, b) => a.order - b.order);
+        return sections;
+    }
 
-        // Add synthetic sections (Budget Review, Document Review) and re-sort so order is
-        // strictly from SECTION_CONFIG (synthetic) and labelData _order (form). No insert-by-index.
-        const syntheticSections = this.buildSyntheticSections();
-        if (syntheticSections.length > 0) {
-            sections.push(...syntheticSections);
-            sections.sort((a, b) => a.order - b.order);
+    /**
+     * @description Form sections of previousFormData (compare mode)
+     */
+    buildPreviousSections() {
+        // processSection and visibleWhen read this._formData; evaluate them against the previous version
+        const currentFormData = this._formData;
+        this._formData = this._previousFormData;
+        try {
+            return this.buildFormSections();
+        } finally {
+            this._formData = currentFormData;
         }
-
-        this.processedSections = sections;
     }
 
     /**
-     * @description Resolve record Id from form/omni data for a config key (e.g. BudgetStep).
-     * Tries recordIdFields at root of formData, then inside any step, then on full omniJsonData
-     * (OmniScript often puts recordId on the parent when formData is a nested object).
+     * @description Compare mode: mark fields, block rows and array items of the current sections as
+     * added / removed / changed against the previous version. Items only in the previous version are
+     * added back as removed so their old values stay visible.
+     * @returns {number} Number of changed fields and array rows
      */
-    getRecordIdFromConfig(configKey) {
-        const config = SECTION_CONFIG[configKey];
-        if (!config || !config.recordIdFields) return null;
+    applyChanges(sections, previousSections) {
+        let count = 0;
+        for (const section of sections) {
+            const previous = previousSections.find(s => s.id === section.id);
+            const previousBlocks = previous ? previous.blocks : [];
 
-        const tryData = (data) => {
-            if (!data || typeof data !== 'object') return null;
-            for (const field of config.recordIdFields) {
-                const val = data[field];
-                if (val !== undefined && val !== null && val !== '') {
-                    return typeof val === 'string' ? val.trim() : String(val);
-                }
-            }
-            return null;
-        };
+            section.fields = this.diffFields(section.fields, previous ? previous.fields : []);
+            section.blocks.forEach(block => this.diffBlock(block, previousBlocks.find(b => b.id === block.id)));
+            previousBlocks
+                .filter(prevBlock => !section.blocks.some(b => b.id === prevBlock.id))
+                .forEach(prevBlock => section.blocks.push(this.diffBlock(this.makeEmptyBlock(prevBlock), prevBlock)));
 
-        // 1) Root of form data
-        if (this._formData) {
-            let id = tryData(this._formData);
-            if (id) return id;
-            // 2) Inside any step object
-            for (const key of Object.keys(this._formData)) {
-                const val = this._formData[key];
-                if (val && typeof val === 'object' && !Array.isArray(val)) {
-                    id = tryData(val);
-                    if (id) return id;
-                }
-            }
+            section.hasFields = section.fields.length > 0;
+            section.hasBlocks = section.blocks.length > 0;
+            section.changeCount = this.countChanges(section);
+            count += section.changeCount;
         }
+        return count;
+    }
 
-        // 3) Full OmniScript payload (recordId often on parent when formData is nested)
-        if (this.omniJsonData) {
-            const id = tryData(this.omniJsonData);
-            if (id) return id;
-        }
-        return null;
+    /**
+     * @description Diff a field list by key; previous non-blank fields missing from the list come back as removed
+     */
+    diffFields(fields, previousFields) {
+        const result = fields.map(field => this.markFieldChange(field, previousFields.find(p => p.key === field.key)));
+        previousFields.forEach((prev, index) => {
+            if (result.some(f => f.key === prev.key) || this.isBlankDisplay(prev)) return;
+            result.splice(Math.min(index, result.length), 0, this.makeRemovedField(prev));
+        });
+        return result;
     }
 
     /**
-     * @description Build synthetic sections from SECTION_CONFIG (e.g. Budget Review, Document Review).
-     * Injects steps with recordId; summary embeds child LWCs (c-budget-display-read-only, c-document-display-read-only).
+     * @description Diff a block: array rows by rowId when both rows have one, otherwise by position; block fields
+     * and nested blocks by key
+     * @returns {object} The block (annotated in place)
      */
-    buildSyntheticSections() {
-        const out = [];
-        for (const [sectionId, config] of Object.entries(SECTION_CONFIG)) {
-            if (!config.isVisible) continue;
-            const recordId = this.getRecordIdFromConfig(sectionId);
-            if (!recordId) continue;
-            const isBudget = sectionId === 'BudgetStep';
-            const isDocument = sectionId === 'DocumentStep';
-            out.push({
-                id: sectionId,
-                title: config.sectionTitle || sectionId,
-                contentId: `content-${sectionId}`,
-                isExpanded: true,
-                chevronIcon: 'utility:chevrondown',
-                order: config.order ?? 999,
-                showBudgetChild: isBudget,
-                showDocumentChild: isDocument,
-                recordId: recordId,
-                blocks: [],
-                fields: [],
-                hasFields: false,
-                hasBlocks: false
+    diffBlock(block, previousBlock) {
+        if (block.isArray) {
+            const previousItems = previousBlock ? previousBlock.items : [];
+            const matchedItems = new Map();
+            block.items.forEach(item => {
+                const prevItem = item.rowId ? previousItems.find(p => p.rowId === item.rowId) : null;
+                if (prevItem) matchedItems.set(item, prevItem);
             });
+            const matchedPrevious = new Set(matchedItems.values());
+            block.items.forEach(item => {
+                if (matchedItems.has(item)) return;
+                const prevItem = previousItems.find(p => !matchedPrevious.has(p) && p.index === item.index && !(item.rowId && p.rowId));
+                if (prevItem) {
+                    matchedItems.set(item, prevItem);
+                    matchedPrevious.add(prevItem);
+                }
+            });
+            block.items.forEach(item => {
+                const prevItem = matchedItems.get(item);
+                item.fields = item.fields.map(field => this.markFieldChange(field,
+                    prevItem ? prevItem.fields.find(p => p.key === field.key) : null));
+                this.setRowChange(item, !prevItem ? 'added' : (item.fields.some(f => f.isChanged) ? 'changed' : ''));
+            });
+            previousItems
+                .filter(prevItem => !matchedPrevious.has(prevItem))
+                .forEach(prevItem => {
+                    const removedItem = {
+                        id: `${block.id}_removed_${prevItem.index}`,
+                        index: prevItem.index,
+                        rowId: prevItem.rowId,
+                        fields: block.columns.map(col => {
+                            const prev = prevItem.fields.find(p => p.key === col.fieldName);
+                            return prev
+                                ? this.makeRemovedField(prev)
+                                : { id: col.fieldName, key: col.fieldName, label: col.label, displayValue: '', isMultiSelect: false, cellClass: '' };
+                        })
+                    };
+                    this.setRowChange(removedItem, 'removed');
+                    block.items.push(removedItem);
+                });
+            return block;
         }
-        return out;
+
+        const previousFields = previousBlock ? previousBlock.fields || [] : [];
+        const previousNested = previousBlock ? previousBlock.nestedBlocks || [] : [];
+        const fields = this.diffFields(block.fields, previousFields);
+        const nestedBlocks = block.nestedBlocks.map(nested => {
+            const prevNested = previousNested.find(p => p.id === nested.id);
+            nested.fields = this.diffFields(nested.fields, prevNested ? prevNested.fields : []);
+            return nested;
+        });
+        previousNested
+            .filter(prevNested => !nestedBlocks.some(n => n.id === prevNested.id))
+            .forEach(prevNested => {
+                const nested = this.makeEmptyBlock(prevNested);
+                nested.fields = this.diffFields([], prevNested.fields || []);
+                nestedBlocks.push(nested);
+            });
+
+        // Fields and nested blocks are annotated in place; removed ones are appended to the content list
+        block.content = [
+            ...block.content,
+            ...fields.filter(f => f.changeType === 'removed').map(f => ({
+                type: 'field', id: f.id, item: f, isField: true, isNestedBlock: false
+            })),
+            ...nestedBlocks.filter(n => !block.nestedBlocks.includes(n)).map(n => ({
+                type: 'nestedBlock', id: `nested_${n.id}`, item: n, isField: false, isNestedBlock: true
+            }))
+        ];
+        block.fields = fields;
+        block.nestedBlocks = nestedBlocks;
+        return block;
     }
 
     /**
-     * @description Process a section (step) with its nested content
-     * Only includes fields/blocks that have labels defined
-     * IMPORTANT: Iterates over sectionLabels keys to preserve JSON order
+     * @description Empty copy of a previous block, filled by diffBlock with removed items
      */
-    processSection(sectionKey, sectionData, sectionLabels) {
-        // Use _sectionTitle from labels, or format from key
-        const sectionTitle = (sectionLabels && sectionLabels._sectionTitle)
-            ? sectionLabels._sectionTitle
-            : this.formatSectionTitle(sectionKey);
-
-        const section = {
-            id: sectionKey,
-            title: sectionTitle,
-            contentId: `content-${sectionKey}`,
-            isExpanded: true,
-            chevronIcon: 'utility:chevrondown',
-            blocks: [],
-            fields: []
+    makeEmptyBlock(previousBlock) {
+        return {
+            ...previousBlock,
+            items: [],
+            columns: previousBlock.columns || [],
+            fields: [],
+            nestedBlocks: [],
+            content: []
         };
+    }
 
-        // Iterate over sectionLabels keys in _order (ascending) for correct display order
-        const keysToProcess = sectionLabels ? this.getOrderedKeys(sectionLabels) : [];
-
-        for (const key of keysToProcess) {
-            // Skip internal label keys
-            if (key.startsWith('_')) continue;
-
-            const value = sectionData[key];
-            const labelInfo = sectionLabels[key];
+    /**
+     * @description Annotate a field with its change against the previous field (blank = '—' or missing).
+     * blank → value: added; value → blank: removed; value → other value: changed.
+     */
+    markFieldChange(field, previousField) {
+        const before = this.isBlankDisplay(previousField) ? '' : previousField.displayValue;
+        const now = this.isBlankDisplay(field) ? '' : field.displayValue;
+        let changeType = '';
+        if (before !== now) {
+            if (!before) changeType = 'added';
+            else changeType = now ? 'changed' : 'removed';
+        }
+        return this.setFieldChange(field, changeType, before && previousField.isSensitive ? previousField.maskedValue : before);
+    }
 
-            // Skip if no corresponding data exists
-            if (value === undefined) continue;
+    /**
+     * @description Field-shaped entry for a value that only exists in the previous version (sensitive values stay masked)
+     */
+    makeRemovedField(previousField) {
+        return this.setFieldChange({
+            ...previousField,
+            value: null,
+            displayValue: '',
+            isMultiSelect: false,
+            displayValues: [],
+            isMissing: false,
+            isSensitive: false,
+            isMasked: false,
+            maskedValue: '',
+            cellClass: '',
+            spanClass: `field-item span-${previousField.colspan || 6}`
+        }, 'removed', previousField.isSensitive ? previousField.maskedValue : previousField.displayValue);
+    }
 
-            if (Array.isArray(value)) {
+    /**
+     * @description Set compare-mode properties on a field (badge, previous value, CSS classes)
+     */
+    setFieldChange(field, changeType, previousValue) {
+        field.changeType = changeType;
+        field.isChanged = !!changeType;
+        field.changeLabel = CHANGE_LABELS[changeType] || '';
+        field.previousDisplayValue = changeType === 'changed' || changeType === 'removed' ? previousValue : '';
+        field.showPreviousValue = !!field.previousDisplayValue;
+        if (changeType) {
+            field.spanClass = `${field.spanClass || ''} field-${changeType}`.trim();
+            field.cellClass = `${field.cellClass || ''} cell-${changeType}`.trim();
+        }
+        return field;
+    }
+
+    /**
+     * @description Set compare-mode properties on an array row
+     */
+    setRowChange(item, changeType) {
+        item.changeType = changeType;
+        item.changeLabel = CHANGE_LABELS[changeType] || '';
+        item.rowClass = changeType ? `row-${changeType}` : '';
+    }
+
+    /**
+     * @description Blank for comparison: no field, an empty cell or the '—' placeholder
+     */
+    isBlankDisplay(field) {
+        return !field || field.displayValue === '—' || field.displayValue === '' || field.displayValue === undefined;
+    }
+
+    /**
+     * @description Changed fields (section, block, nested) plus changed array rows in a section
+     */
+    countChanges(section) {
+        let count = section.fields.filter(f => f.isChanged).length;
+        for (const block of section.blocks) {
+            if (block.isArray) {
+                count += block.items.filter(item => item.changeType).length;
+            } else {
+                count += block.fields.filter(f => f.isChanged).length;
+                for (const nested of block.nestedBlocks) {
+                    count += nested.fields.filter(f => f.isChanged).length;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * @description Compare mode "changed only" view: keep changed fields, rows and blocks; drop sections without changes
+     */
+    filterChangedSections(sections) {
+        return sections
+            .filter(section => section.changeCount > 0)
+            .map(section => {
+                const fields = section.fields.filter(f => f.isChanged);
+                const blocks = section.blocks.map(block => this.filterChangedBlock(block)).filter(Boolean);
+                return { ...section, fields, blocks, hasFields: fields.length > 0, hasBlocks: blocks.length > 0 };
+            });
+    }
+
+    /**
+     * @description Changed rows of an array block, or changed fields / nested blocks of a regular block (null when none)
+     */
+    filterChangedBlock(block) {
+        if (block.isArray) {
+            const items = block.items.filter(item => item.changeType);
+            return items.length > 0 ? { ...block, items } : null;
+        }
+        const content = block.content
+            .map(entry => {
+                if (entry.isField) return entry.item.isChanged ? entry : null;
+                const nestedFields = (entry.item.fields || []).filter(f => f.isChanged);
+                return nestedFields.length > 0 ? { ...entry, item: { ...entry.item, fields: nestedFields } } : null;
+            })
+            .filter(Boolean);
+        return content.length > 0 ? { ...block, content } : null;
+    }
+
+    /**
+     * @description Sections with fields matching the search term: matches are highlighted, sections
+     * with matches are expanded, and sections / blocks / array rows without a match are dropped.
+     * Budget and document sections have no fields to match and are hidden while searching.
+     * @returns {object} { sections, hitCount }
+     */
+    searchSections(sections, term) {
+        const needle = term.toLowerCase();
+        const result = { sections: [], hitCount: 0 };
+        const markField = (field) => {
+            if (!this.matchesSearch(field, needle)) return null;
+            result.hitCount++;
+            return {
+                ...field,
+                spanClass: `${field.spanClass || ''} field-search-match`.trim(),
+                cellClass: `${field.cellClass || ''} cell-search-match`.trim()
+            };
+        };
+        for (const section of sections) {
+            const fields = section.fields.map(markField).filter(Boolean);
+            const blocks = section.blocks.map(block => this.searchBlock(block, markField)).filter(Boolean);
+            if (fields.length === 0 && blocks.length === 0) continue;
+            result.sections.push({
+                ...section,
+                fields,
+                blocks,
+                hasFields: fields.length > 0,
+                hasBlocks: blocks.length > 0,
+                isExpanded: true,
+                chevronIcon: this.getChevronIcon(true)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * @description Array rows with a matching cell (all cells kept so columns line up), or matching
+     * fields / nested block fields of a regular block (null when nothing matches)
+     */
+    searchBlock(block, markField) {
+        if (block.isArray) {
+            const items = block.items
+                .map(item => {
+                    let hasMatch = false;
+                    const fields = item.fields.map(field => {
+                        const marked = markField(field);
+                        hasMatch = hasMatch || !!marked;
+                        return marked || field;
+                    });
+                    return hasMatch ? { ...item, fields } : null;
+                })
+                .filter(Boolean);
+            return items.length > 0 ? { ...block, items } : null;
+        }
+        const content = block.content
+            .map(entry => {
+                if (entry.isField) {
+                    const marked = markField(entry.item);
+                    return marked ? { ...entry, item: marked } : null;
+                }
+                const nestedFields = (entry.item.fields || []).map(markField).filter(Boolean);
+                return nestedFields.length > 0 ? { ...entry, item: { ...entry.item, fields: nestedFields } } : null;
+            })
+            .filter(Boolean);
+        return content.length > 0 ? { ...block, content } : null;
+    }
+
+    /**
+     * @description True when the field label, display value or a multi-select value contains the (lower-case) term.
+     * A masked sensitive field only matches on its label and masked value.
+     */
+    matchesSearch(field, term) {
+        const texts = field.isMasked
+            ? [field.label, field.maskedValue]
+            : [field.label, field.displayValue, ...(field.displayValues || []).map(pill => pill.value)];
+        return texts.some(text => text !== undefined && text !== null && String(text).toLowerCase().includes(term));
+    }
+
+    /**
+     * @description Apply each array table's sort and page (_tableState) to the rendered sections.
+     * The print layout keeps the sort but shows every row and no sort or page controls.
+     */
+    applyTableState(sections) {
+        return sections.map(section => {
+            if (!section.blocks || !section.blocks.some(block => block.isArray && block.items)) return section;
+            return {
+                ...section,
+                blocks: section.blocks.map(block => (block.isArray && block.items
+                    ? this.applyArrayTableState(`${section.id}.${block.id}`, block)
+                    : block))
+            };
+        });
+    }
+
+    /**
+     * @description Sorted, paged copy of one array block with its header and pager state
+     * @param {string} tableKey - Key of the table in _tableState
+     * @param {object} block - Array block from processArray
+     * @returns {object} Block for the template
+     */
+    applyArrayTableState(tableKey, block) {
+        const state = this._tableState[tableKey] || {};
+        const showSortControls = !!block.isSortable && !this.isPrintLayout;
+        const sortIndex = block.isSortable ? block.columns.findIndex(col => col.fieldName === state.sortBy) : -1;
+        const isDescending = state.sortDirection === 'desc';
+
+        let items = block.items;
+        if (sortIndex >= 0) {
+            items = items
+                .map((item, position) => ({ item, position }))
+                .sort((a, b) => this.compareTableCells(a.item.fields[sortIndex], b.item.fields[sortIndex], isDescending)
+                    || a.position - b.position)
+                .map(entry => entry.item);
+        }
+
+        const columns = block.columns.map((col, index) => {
+            const isSorted = index === sortIndex;
+            return {
+                ...col,
+                showSortControls,
+                ariaSort: showSortControls ? (isSorted ? (isDescending ? 'descending' : 'ascending') : 'none') : null,
+                sortIcon: isSorted ? (isDescending ? 'utility:arrowdown' : 'utility:arrowup') : ''
+            };
+        });
+
+        const pageSize = this.isPrintLayout ? null : block.pageSize;
+        const pageCount = pageSize ? Math.ceil(items.length / pageSize) : 1;
+        const result = { ...block, tableKey, columns, items, isPaginated: pageCount > 1 };
+        if (result.isPaginated) {
+            const page = Math.min(Math.max(state.page || 1, 1), pageCount);
+            const start = (page - 1) * pageSize;
+            result.items = items.slice(start, start + pageSize);
+            result.pageStatus = this.formatLabel(LABELS.rowRange, start + 1, start + result.items.length, items.length);
+            result.previousPage = page - 1;
+            result.nextPage = page + 1;
+            result.isFirstPage = page === 1;
+            result.isLastPage = page === pageCount;
+        }
+        return result;
+    }
+
+    /**
+     * @description Compare two table cells for sorting: currency/number by amount, dates by ISO value, other
+     * types by their displayed text (numeric-aware); masked sensitive cells by their masked text so the order
+     * does not give the hidden values away; blank cells always sort last
+     */
+    compareTableCells(a, b, isDescending) {
+        const aBlank = !a || this.isBlankValue(a.value);
+        const bBlank = !b || this.isBlankValue(b.value);
+        if (aBlank || bBlank) return aBlank === bBlank ? 0 : (aBlank ? 1 : -1);
+
+        let result;
+        const fieldType = a.fieldType;
+        const aNumber = this.toComputeNumber(a.value);
+        const bNumber = this.toComputeNumber(b.value);
+        if (a.isMasked || b.isMasked) {
+            result = String(a.isMasked ? a.maskedValue : a.displayValue)
+                .localeCompare(String(b.isMasked ? b.maskedValue : b.displayValue), this.getLocale({}));
+        } else if ((fieldType === 'currency' || fieldType === 'number') && aNumber !== null && bNumber !== null) {
+            result = aNumber - bNumber;
+        } else if (fieldType === 'date') {
+            result = String(a.value).localeCompare(String(b.value));
+        } else {
+            result = String(a.displayValue).localeCompare(String(b.displayValue), this.getLocale({}),
+                { numeric: true, sensitivity: 'base' });
+        }
+        return isDescending ? -result : result;
+    }
+
+    /**
+     * @description Synthetic section config for the current form, keyed by section id.
+     * Declarations come from the syntheticSections property, else label JSON _syntheticSections, else DEFAULT_SECTION_CONFIG.
+     * A declared id that matches a default (BudgetStep, DocumentStep) inherits its settings; declared sections
+     * are visible unless isVisible is false. Entries without a known type are ignored.
+     * @returns {object} Map of section id to { type, sectionTitle, order, isVisible, recordIdFields }
+     */
+    getSyntheticSectionConfig() {
+        let declared = this.syntheticSections;
+        if (typeof declared === 'string') {
+            try {
+                declared = declared.trim() ? JSON.parse(declared) : null;
+            } catch (e) {
+                console.warn('Failed to parse syntheticSections:', e);
+                declared = null;
+            }
+        }
+        if (!this.isObject(declared) && this._labelData && this.isObject(this._labelData._syntheticSections)) {
+            declared = this._labelData._syntheticSections;
+        }
+        if (!this.isObject(declared)) {
+            return DEFAULT_SECTION_CONFIG;
+        }
+
+        const config = {};
+        for (const [sectionId, entry] of Object.entries(declared)) {
+            if (!this.isObject(entry)) continue;
+            const merged = { ...(DEFAULT_SECTION_CONFIG[sectionId] || {}), isVisible: true, ...entry };
+            if (!SYNTHETIC_SECTION_TYPES.includes(merged.type)) {
+                console.warn(`Ignoring synthetic section ${sectionId}: unknown type "${merged.type}"`);
+                continue;
+            }
+            config[sectionId] = merged;
+        }
+        return config;
+    }
+
+    /**
+     * @description Resolve record Id from form/omni data for a synthetic section config.
+     * Tries recordIdFields at root of formData, then inside any step, then on full omniJsonData
+     * (OmniScript often puts recordId on the parent when formData is a nested object).
+     * recordIdFields entries may be dot paths (e.g. "ProposalStep.proposalId").
+     */
+    getRecordIdFromConfig(config) {
+        if (!config) return null;
+        const recordIdFields = Array.isArray(config.recordIdFields) && config.recordIdFields.length > 0
+            ? config.recordIdFields
+            : DEFAULT_RECORD_ID_FIELDS;
+
+        const tryData = (data) => {
+            if (!data || typeof data !== 'object') return null;
+            for (const field of recordIdFields) {
+                const val = this.getValueByPath(data, field);
+                if (val !== undefined && val !== null && val !== '') {
+                    return typeof val === 'string' ? val.trim() : String(val);
+                }
+            }
+            return null;
+        };
+
+        // 1) Root of form data
+        if (this._formData) {
+            let id = tryData(this._formData);
+            if (id) return id;
+            // 2) Inside any step object
+            for (const key of Object.keys(this._formData)) {
+                const val = this._formData[key];
+                if (val && typeof val === 'object' && !Array.isArray(val)) {
+                    id = tryData(val);
+                    if (id) return id;
+                }
+            }
+        }
+
+        // 3) Full OmniScript payload (recordId often on parent when formData is nested)
+        if (this.omniJsonData) {
+            const id = tryData(this.omniJsonData);
+            if (id) return id;
+        }
+        return null;
+    }
+
+    /**
+     * @description Get a value from an object by key or dot path (e.g. "Step.proposalId").
+     * A literal key containing dots wins over path traversal.
+     */
+    getValueByPath(data, path) {
+        if (!data || typeof data !== 'object' || typeof path !== 'string') return undefined;
+        if (path in data || path.indexOf('.') < 0) return data[path];
+        let current = data;
+        for (const part of path.split('.')) {
+            if (current === null || typeof current !== 'object') return undefined;
+            current = current[part];
+        }
+        return current;
+    }
+
+    /**
+     * @description Build synthetic sections from the synthetic section config (e.g. Budget Review, Document Review).
+     * Injects steps with recordId; summary embeds child LWCs (c-budget-display-read-only, c-document-display-read-only).
+     */
+    buildSyntheticSections() {
+        const out = [];
+        for (const [sectionId, config] of Object.entries(this.getSyntheticSectionConfig())) {
+            if (!config.isVisible) continue;
+            const recordId = this.getRecordIdFromConfig(config);
+            if (!recordId) continue;
+            const isBudget = config.type === 'budget';
+            const isDocument = config.type === 'document';
+            const isRelatedList = config.type === 'relatedList';
+            const section = {
+                id: sectionId,
+                title: this.localizeLabel(config.sectionTitle) || sectionId,
+                contentId: `content-${sectionId}`,
+                isExpanded: config.collapsed !== true,
+                chevronIcon: 'utility:chevrondown',
+                order: typeof config.order === 'number' ? config.order : 999,
+                showBudgetChild: isBudget,
+                showDocumentChild: isDocument,
+                recordId: recordId,
+                currencyCode: config.currency || USER_CURRENCY,
+                blocks: [],
+                fields: [],
+                hasFields: false,
+                hasBlocks: false
+            };
+            if (isRelatedList) {
+                section.relatedListConfig = config;
+                Object.assign(section, this.getRelatedListState(section));
+            }
+            out.push(section);
+        }
+        return out;
+    }
+
+    /**
+     * @description Resolve record names for lookup fields (one getRecordNames call for all new Ids), then
+     *              re-process so the names replace the Ids. Unresolved Ids stay as the displayed value.
+     */
+    loadRecordNames() {
+        if (!this._actionUtil) return;
+        const recordIds = new Set();
+        for (const section of this.processedSections) {
+            this.getSectionFields(section, true)
+                .filter(field => field.isLookup && !(field.recordId in this._recordNames))
+                .forEach(field => recordIds.add(field.recordId));
+        }
+        if (recordIds.size === 0) return;
+        const ids = Array.from(recordIds);
+        ids.forEach(id => {
+            this._recordNames[id] = null;
+        });
+
+        const params = {
+            input: JSON.stringify({ recordIds: ids }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getRecordNames',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                const result = response && response.result;
+                if (result && result.error) {
+                    console.warn('Failed to load record names:', result.error);
+                }
+                const names = result && result.recordNames ? JSON.parse(result.recordNames) : {};
+                if (!this.isObject(names) || !ids.some(id => names[id])) return;
+                ids.forEach(id => {
+                    this._recordNames[id] = names[id] || null;
+                });
+                this.processFormData();
+            })
+            .catch((err) => {
+                console.warn('Failed to load record names:', err);
+            });
+    }
+
+    /**
+     * @description Rendering state for a relatedList section from _relatedListCache.
+     * Loaded rows are shown through processArray so they reuse the array table (labels/types from config.fields).
+     */
+    getRelatedListState(section) {
+        const config = section.relatedListConfig;
+        const entry = this._relatedListCache[`${section.id}|${section.recordId}`];
+        const block = entry && entry.status === 'loaded'
+            ? this.processArray(section.id, entry.records, this.isObject(config.fields) ? config.fields : null)
+            : null;
+        if (block) {
+            block.title = (config.fields && this.localizeLabel(config.fields._blockTitle)) || '';
+        }
+        return {
+            showRelatedListStatus: !block,
+            isRelatedListLoading: !entry || entry.status === 'loading',
+            relatedListMessage: entry && entry.status === 'error'
+                ? entry.message
+                : (this.localizeLabel(config.emptyMessage) || LABELS.noRecords),
+            blocks: block ? [block] : [],
+            hasBlocks: !!block
+        };
+    }
+
+    /**
+     * @description Fetch rows for relatedList sections not yet in _relatedListCache (IntakeFormReviewSummaryController.getRelatedListDetail).
+     * Each response updates only its own section so expanded/collapsed state is kept.
+     */
+    loadRelatedLists() {
+        if (!this._actionUtil) return;
+        for (const section of this.processedSections) {
+            if (!section.relatedListConfig) continue;
+            const cacheKey = `${section.id}|${section.recordId}`;
+            if (this._relatedListCache[cacheKey]) continue;
+            this._relatedListCache[cacheKey] = { status: 'loading' };
+
+            const config = section.relatedListConfig;
+            const fields = this.isObject(config.fields) ? this.getKeysInDocumentOrder(config.fields) : [];
+            const params = {
+                input: JSON.stringify({
+                    proposal: section.recordId,
+                    objectApiName: config.objectApiName,
+                    parentField: config.parentField,
+                    fields: fields,
+                    orderBy: config.orderBy,
+                    rowLimit: config.rowLimit
+                }),
+                sClassName: 'IntakeFormReviewSummaryController',
+                sMethodName: 'getRelatedListDetail',
+                options: '{}'
+            };
+
+            this._actionUtil
+                .executeAction(params, null, this, null, null)
+                .then((response) => {
+                    const result = response && response.result;
+                    const errMsg = result && (result.error || result.message);
+                    let records = [];
+                    try {
+                        records = result && result.records ? JSON.parse(result.records) : [];
+                    } catch (e) {
+                        console.warn(`Failed to parse related records for section ${section.id}:`, e);
+                    }
+                    this._relatedListCache[cacheKey] = errMsg
+                        ? { status: 'error', message: errMsg }
+                        : { status: 'loaded', records: Array.isArray(records) ? records : [] };
+                    this.refreshRelatedListSection(section.id);
+                })
+                .catch((err) => {
+                    this._relatedListCache[cacheKey] = {
+                        status: 'error',
+                        message: (err && (err.message || err.body?.message)) || String(err)
+                    };
+                    this.refreshRelatedListSection(section.id);
+                });
+        }
+    }
+
+    /**
+     * @description Re-apply related list state to one section after its rows arrive
+     */
+    refreshRelatedListSection(sectionId) {
+        this.processedSections = this.processedSections.map(section => (
+            section.id === sectionId && section.relatedListConfig
+                ? { ...section, ...this.getRelatedListState(section) }
+                : section
+        ));
+    }
+
+    /**
+     * @description Process a section (step) with its nested content
+     * Only includes fields/blocks that have labels defined
+     * IMPORTANT: Iterates over sectionLabels keys to preserve JSON order
+     */
+    processSection(sectionKey, sectionData, sectionLabels) {
+        // Use _sectionTitle from labels, or format from key
+        const sectionTitle = (sectionLabels && sectionLabels._sectionTitle)
+            ? this.localizeLabel(sectionLabels._sectionTitle)
+            : this.formatSectionTitle(sectionKey);
+
+        const section = {
+            id: sectionKey,
+            title: sectionTitle,
+            contentId: `content-${sectionKey}`,
+            isExpanded: !(sectionLabels && sectionLabels._collapsed === true),
+            chevronIcon: 'utility:chevrondown',
+            blocks: [],
+            fields: []
+        };
+
+        // Iterate over sectionLabels keys in _order (ascending) for correct display order
+        const keysToProcess = sectionLabels ? this.getOrderedKeys(sectionLabels) : [];
+        // Data objects searched (innermost first) when resolving visibleWhen field references
+        const scope = [sectionData, this._formData];
+
+        for (const key of keysToProcess) {
+            // Skip internal label keys
+            if (key.startsWith('_')) continue;
+
+            const labelInfo = sectionLabels[key];
+            const value = this.resolveFieldValue(key, labelInfo, sectionData, scope);
+
+            // Fields and blocks hidden by visibleWhen (e.g. only shown for a given answer)
+            if (!this.isVisibleByCondition(labelInfo, scope)) continue;
+
+            // Skip if no corresponding data exists (required fields stay so they can be flagged as missing)
+            if (value === undefined && !this.isRequiredLabel(labelInfo)) continue;
+
+            if (Array.isArray(value)) {
                 // It's an array - process as repeatable block (needs _blockTitle or field labels)
-                const arrayBlock = this.processArray(key, value, labelInfo);
+                const arrayBlock = this.processArray(key, value, labelInfo, scope);
                 if (arrayBlock) {
                     section.blocks.push(arrayBlock);
                 }
             } else if (this.isObject(value)) {
                 // It's a nested block (needs _blockTitle or field labels)
-                const block = this.processBlock(key, value, labelInfo);
+                const block = this.processBlock(key, value, labelInfo, scope);
                 if (block) {
                     section.blocks.push(block);
                 }
@@ -350,7 +1679,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
                     (typeof labelInfo === 'object' && labelInfo.label);
                 if (isValidLabel) {
                     const field = this.processField(key, value, labelInfo);
-                    if (field && (!this.hideEmptyFields || field.displayValue !== '—')) {
+                    if (field && this.shouldShowField(field)) {
                         section.fields.push(field);
                     }
                 }
@@ -369,8 +1698,9 @@ export default class IntakeFormReviewSummary extends LightningElement {
      * @description Process a nested block
      * Only includes fields that have labels defined in blockLabels
      * IMPORTANT: Iterates over blockLabels keys to preserve JSON order
+     * @param {object[]} parentScope - Enclosing data objects (innermost first) for visibleWhen references
      */
-    processBlock(blockKey, blockData, blockLabels) {
+    processBlock(blockKey, blockData, blockLabels, parentScope = []) {
         // Block must have labels defined (either _blockTitle or field labels)
         if (!blockLabels || typeof blockLabels !== 'object') {
             return null;
@@ -387,18 +1717,22 @@ export default class IntakeFormReviewSummary extends LightningElement {
             content: [] // ordered list: { type: 'field'|'nestedBlock', id, item } for correct label JSON order
         };
 
+        const scope = [blockData, ...parentScope];
+
         // Use _fieldOrder (or _order) so field/block order matches label JSON
         for (const key of this.getBlockContentKeys(blockLabels)) {
             if (key.startsWith('_')) continue;
 
-            const value = blockData[key];
             const labelInfo = blockLabels[key];
+            const value = this.resolveFieldValue(key, labelInfo, blockData, scope);
+
+            if (!this.isVisibleByCondition(labelInfo, scope)) continue;
 
-            if (value === undefined) continue;
+            if (value === undefined && !this.isRequiredLabel(labelInfo)) continue;
 
             if (this.isObject(value) && !Array.isArray(value)) {
                 if (typeof labelInfo === 'object') {
-                    const nestedBlock = this.processBlock(key, value, labelInfo);
+                    const nestedBlock = this.processBlock(key, value, labelInfo, scope);
                     if (nestedBlock) {
                         if (nestedBlock.isAddressBlock) {
                             // Show address as a normal field in the grid (half width unless _addressColspan in label JSON)
@@ -428,7 +1762,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
                     (typeof labelInfo === 'object' && labelInfo.label);
                 if (isValidLabel) {
                     const field = this.processField(key, value, labelInfo);
-                    if (field && (!this.hideEmptyFields || field.displayValue !== '—')) {
+                    if (field && this.shouldShowField(field)) {
                         block.fields.push(field);
                         block.content.push({
                             type: 'field',
@@ -444,7 +1778,8 @@ export default class IntakeFormReviewSummary extends LightningElement {
 
         // Address blocks: keep only Full Address value; show as "Applicant Address" + value (no "Full Address" label)
         if (this.isAddressBlock(blockKey, blockLabels)) {
-            const fullAddressField = block.fields.find(f => f.label === 'Full Address');
+            // Matched by label (or key, so translated labels still work)
+            const fullAddressField = block.fields.find(f => f.label === 'Full Address' || f.key.toLowerCase().includes('fulladdress'));
             if (fullAddressField) {
                 block.fields = [fullAddressField];
                 block.isAddressBlock = true;
@@ -466,7 +1801,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
     isAddressBlock(blockKey, blockLabels) {
         if (!blockKey || !blockLabels) return false;
         const keyLower = blockKey.toLowerCase();
-        const title = (blockLabels._blockTitle || '').toLowerCase();
+        const title = (this.localizeLabel(blockLabels._blockTitle) || '').toLowerCase();
         return (keyLower.includes('address') && keyLower.includes('block')) || title.includes('address');
     }
 
@@ -497,8 +1832,12 @@ export default class IntakeFormReviewSummary extends LightningElement {
      * @description Process an array as a repeatable block with items
      * Only includes fields that have labels defined
      * IMPORTANT: Iterates over itemLabels keys to preserve JSON order
+     * Field visibleWhen is evaluated per row (row data first, then parentScope); columns are the
+     * label keys shown in any row, and rows without a column get a blank cell so the table stays aligned.
+     * Array label options: _totals (true = currency/number columns, or a list of keys) adds a footer row,
+     * _sortable adds sortable headers, _pageSize pages the rows and _layout "cards" stacks rows on narrow screens.
      */
-    processArray(arrayKey, arrayData, arrayLabels) {
+    processArray(arrayKey, arrayData, arrayLabels, parentScope = []) {
         if (!arrayData || arrayData.length === 0 || !arrayLabels) {
             return null;
         }
@@ -514,7 +1853,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
 
         const block = {
             id: arrayKey,
-            title: (itemLabels && itemLabels._blockTitle) || this.formatBlockTitle(arrayKey, itemLabels),
+            title: this.formatBlockTitle(arrayKey, itemLabels),
             isBlock: true,
             isArray: true,
             items: [],
@@ -529,16 +1868,20 @@ export default class IntakeFormReviewSummary extends LightningElement {
             const processedItem = {
                 id: `${arrayKey}_${index}`,
                 index: index + 1,
+                rowId: this.getRowId(item),
                 fields: []
             };
 
             // Iterate over itemLabels keys to preserve the order defined in JSON
             for (const key of labelKeys) {
-                const value = item[key];
                 const labelInfo = itemLabels[key];
+                const itemScope = [item, ...parentScope];
+                const value = this.resolveFieldValue(key, labelInfo, item, itemScope);
 
-                // Skip if no corresponding data exists
-                if (value === undefined) continue;
+                if (!this.isVisibleByCondition(labelInfo, itemScope)) continue;
+
+                // Skip if no corresponding data exists (unless required, so the row shows it missing)
+                if (value === undefined && !this.isRequiredLabel(labelInfo)) continue;
 
                 // Only include fields with valid labels (string or object with label)
                 const isValidLabel = typeof labelInfo === 'string' ||
@@ -547,16 +1890,8 @@ export default class IntakeFormReviewSummary extends LightningElement {
 
                 const field = this.processField(key, value, labelInfo);
 
-                if (field && (!this.hideEmptyFields || field.displayValue !== '—')) {
+                if (field && this.shouldShowField(field)) {
                     processedItem.fields.push(field);
-
-                    // Add to columns for table header (only once)
-                    if (index === 0) {
-                        block.columns.push({
-                            label: field.label,
-                            fieldName: key
-                        });
-                    }
                 }
             }
 
@@ -565,16 +1900,71 @@ export default class IntakeFormReviewSummary extends LightningElement {
             }
         });
 
+        // Columns for table header: label keys shown in at least one row, in label JSON order
+        for (const key of labelKeys) {
+            const sample = block.items
+                .map(item => item.fields.find(f => f.key === key))
+                .find(Boolean);
+            if (sample) {
+                block.columns.push({ label: sample.label, fieldName: key });
+            }
+        }
+        block.items.forEach(item => {
+            item.fields = block.columns.map(col => item.fields.find(f => f.key === col.fieldName)
+                || { id: col.fieldName, key: col.fieldName, label: col.label, displayValue: '', isMultiSelect: false, cellClass: '' });
+        });
+
+        const pageSize = parseInt(itemLabels._pageSize, 10);
+        block.isSortable = itemLabels._sortable === true;
+        block.pageSize = pageSize >= 1 ? pageSize : null;
+        block.tableClass = itemLabels._layout === 'cards' ? 'data-table data-table-cards' : 'data-table';
+        block.totals = this.getArrayTotals(block, itemLabels);
+        block.hasTotals = block.totals.some(total => total.displayValue);
+
         return block.items.length > 0 ? block : null;
     }
 
+    /**
+     * @description Footer cells for an array table's _totals: the sum of each totalled column over all rows,
+     * formatted with the column's type (blank for other columns and for sensitive columns)
+     * @param {object} block - Array block from processArray
+     * @param {object} itemLabels - Array item labels (_totals: true or a list of field keys)
+     * @returns {object[]} One { id, displayValue } per column
+     */
+    getArrayTotals(block, itemLabels) {
+        const totals = itemLabels._totals;
+        if (totals !== true && !Array.isArray(totals)) return [];
+
+        return block.columns.map((col, index) => {
+            const cells = block.items.map(item => item.fields[index]).filter(field => field.fieldType);
+            const fieldType = cells.length > 0 ? cells[0].fieldType : null;
+            const isTotalled = Array.isArray(totals)
+                ? totals.includes(col.fieldName)
+                : fieldType === 'currency' || fieldType === 'number';
+            const numbers = cells.map(field => this.toComputeNumber(field.value)).filter(value => value !== null);
+            if (!isTotalled || numbers.length === 0 || cells.some(field => field.isSensitive)) {
+                return { id: col.fieldName, displayValue: '' };
+            }
+            const sum = numbers.reduce((total, value) => total + value, 0);
+            return {
+                id: col.fieldName,
+                label: col.label,
+                displayValue: this.formatValue(sum, fieldType === 'currency' ? 'currency' : 'number',
+                    cells[0].formatOptions || {})
+            };
+        });
+    }
+
     /**
      * @description Process a single field
      * @param {string} key - Field key
      * @param {*} value - Field value
      * @param {string|object} labelInfo - Label from labelData. Can be:
      *   - String: "Label Text" (auto-detect type)
-     *   - Object: { "label": "Label Text", "type": "phone|email|currency|date|boolean|number", "colspan": 1-12 }
+     *   - Object: { "label": "Label Text", "type": "phone|email|currency|date|boolean|number|<registered type>", "colspan": 1-12 }
+     * The type (explicit or detected) is resolved through the field type registry to the format it renders with.
+     * "sensitive": true (or { visible, maskCharacter }) shows the value masked until revealed (see applySensitiveState);
+     * "mask" is an alias of "sensitive" ("sensitive" wins when both are set).
      */
     processField(key, value, labelInfo) {
         // Label is required - if not provided, don't show the field
@@ -583,10 +1973,23 @@ export default class IntakeFormReviewSummary extends LightningElement {
         }
 
         // Support both string and object format for labelInfo
-        let label, explicitType, colspan;
+        let label, explicitType, colspan, lines;
+        let isRequired = false;
+        let fieldOptions = {};
+        let sensitive = null;
         if (typeof labelInfo === 'object' && labelInfo.label) {
-            label = labelInfo.label;
+            label = this.localizeLabel(labelInfo.label);
             explicitType = labelInfo.type;
+            isRequired = labelInfo.required === true;
+            lines = labelInfo.lines;
+            const sensitiveOption = labelInfo.sensitive !== undefined ? labelInfo.sensitive : labelInfo.mask;
+            sensitive = sensitiveOption === true ? {} : (this.isObject(sensitiveOption) ? sensitiveOption : null);
+            // Per-field overrides of the running user's locale/currency/time zone
+            FORMAT_OPTION_PROPERTIES
+                .filter(property => labelInfo[property] !== undefined && labelInfo[property] !== null)
+                .forEach(property => {
+                    fieldOptions[property] = labelInfo[property];
+                });
             // Extract colspan (default 6 for half-width, clamp to 1-12)
             colspan = typeof labelInfo.colspan === 'number'
                 ? Math.min(Math.max(labelInfo.colspan, 1), 12)
@@ -599,18 +2002,33 @@ export default class IntakeFormReviewSummary extends LightningElement {
             return null;
         }
 
-        // Use explicit type if provided, otherwise auto-detect
-        const fieldType = explicitType || this.detectFieldType(key, value);
-        const displayValue = this.formatValue(value, fieldType);
+        // Use explicit type if provided, otherwise auto-detect; a registered type renders with its format and options
+        const typeInfo = this.getFieldTypeInfo(explicitType || this.detectFieldType(key, value));
+        const fieldType = typeInfo.format;
+        const formatOptions = { ...typeInfo.options, ...fieldOptions };
+        const displayValue = this.formatValue(value, fieldType, formatOptions);
         const isBoolean = fieldType === 'boolean';
+        const isBlank = this.isBlankValue(value);
+        const isTrue = isBoolean && !isBlank && this.isTruthyValue(value);
+        const recordId = fieldType === 'lookup' && typeof value === 'string' && RECORD_ID_PATTERN.test(value.trim())
+            ? value.trim()
+            : null;
+        const isLongText = fieldType === 'longtext' && !isBlank;
+        // Rich text made only of empty markup (e.g. <p></p>) counts as blank
+        const isRichText = fieldType === 'richtext' && displayValue !== '—';
+        // Required: blank values are missing; a required boolean (e.g. certification) must be true
+        const isMissing = isRequired && (isBlank || (isBoolean && !this.isTruthyValue(value))
+            || (fieldType === 'richtext' && !isRichText));
 
-        // Multi-select: values separated by semicolon — show as pills/tags (id for unique key in LWC)
+        // Multi-select: values separated by semicolon — show as pills/tags (id for unique key in LWC).
+        // Narrative types (richtext, longtext) keep their semicolons.
         const isMultiSelect = fieldType === 'multiselect' ||
-            (typeof value === 'string' && value.trim().indexOf(';') >= 0);
+            (fieldType !== 'richtext' && fieldType !== 'longtext' && typeof value === 'string' && value.trim().indexOf(';') >= 0);
         const rawString = value != null && typeof value === 'string' ? value : '';
         const displayValues = isMultiSelect
             ? rawString.split(';').map(s => s.trim()).filter(Boolean).map((s, i) => ({ id: `${key}_${i}`, value: s }))
             : [];
+        const isSensitive = !!sensitive && !isBlank && displayValue !== '—';
 
         return {
             id: key,
@@ -619,6 +2037,8 @@ export default class IntakeFormReviewSummary extends LightningElement {
             value: value,
             displayValue: displayValue,
             fieldType: fieldType,
+            // Resolved formatter options (registered type options and field overrides), e.g. for array totals
+            formatOptions: formatOptions,
             isBoolean: isBoolean,
             isMultiSelect: isMultiSelect && displayValues.length > 0,
             displayValues: displayValues,
@@ -627,49 +2047,424 @@ export default class IntakeFormReviewSummary extends LightningElement {
             isEmail: fieldType === 'email',
             isPhone: fieldType === 'phone',
             isNumber: fieldType === 'number',
-            isText: !['boolean', 'currency', 'date', 'email', 'phone', 'number', 'multiselect'].includes(fieldType),
+            isUrl: fieldType === 'url',
+            isLookup: !!recordId,
+            // richtext: HTML rendered by lightning-formatted-rich-text (sanitized); displayValue holds its plain text
+            isRichText: isRichText,
+            richTextValue: isRichText ? String(value) : '',
+            // longtext: clamped to longTextLines lines with a Show more toggle and character count
+            isLongText: isLongText,
+            longTextLines: isLongText ? this.getLongTextLines(lines) : null,
+            characterCount: isLongText ? this.formatLabel(LABELS.characterCount, displayValue.length.toLocaleString(this.getLocale(formatOptions))) : '',
+            isText: !['boolean', 'currency', 'date', 'email', 'phone', 'number', 'multiselect', 'url', 'lookup', 'richtext', 'longtext']
+                .includes(fieldType),
+            // mailto: / tel: / external link (url type); lookups link to recordId through NavigationMixin
+            href: isBlank ? '' : this.getFieldHref(fieldType, value, displayValue),
+            recordId: recordId,
             // Pre-computed values for boolean display (LWC doesn't support ternary in templates)
-            booleanIcon: isBoolean ? (value ? 'utility:check' : 'utility:close') : '',
-            booleanIconClass: isBoolean ? (value ? 'icon-success' : 'icon-error') : '',
+            booleanIcon: isBoolean && !isBlank ? (isTrue ? 'utility:check' : 'utility:close') : '',
+            booleanIconClass: isBoolean && !isBlank ? (isTrue ? 'icon-success' : 'icon-error') : '',
+            isRequired: isRequired,
+            isMissing: isMissing,
+            cellClass: isMissing ? 'cell-missing' : '',
+            // Sensitive: maskedValue is shown until a user with the reveal permission reveals it (applySensitiveState)
+            isSensitive: isSensitive,
+            maskedValue: isSensitive ? this.getSensitiveMask(displayValue, sensitive) : '',
+            isMasked: isSensitive,
+            isRevealed: false,
+            canReveal: false,
+            revealError: '',
             // Colspan for 12-column grid layout
             colspan: colspan,
-            spanClass: `field-item span-${colspan}`
+            spanClass: `field-item span-${colspan}` + (isMissing ? ' field-item-missing' : '')
         };
     }
 
     /**
-     * @description Detect field type based on key name and value
+     * @description Lines shown for a longtext field: its "lines" label option, else longTextLines (whole numbers from 1)
      */
-    detectFieldType(key, value) {
-        const keyLower = key.toLowerCase();
+    getLongTextLines(fieldLines) {
+        const lines = parseInt(fieldLines !== undefined && fieldLines !== null ? fieldLines : this.longTextLines, 10);
+        return lines >= 1 ? lines : DEFAULT_LONG_TEXT_LINES;
+    }
 
-        if (typeof value === 'boolean') {
-            return 'boolean';
-        }
+    /**
+     * @description Plain text of a richtext value (tags removed, entities decoded, whitespace collapsed) for
+     *              search, compare mode and the missing-field check; never rendered as HTML
+     */
+    htmlToText(html) {
+        return String(html)
+            .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\b[^>]*>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+                if (entity[0] === '#') {
+                    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                    // Out-of-range code points (e.g. &#1114112;) would throw in fromCodePoint: keep the entity as text
+                    return code >= 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+                }
+                const decoded = HTML_ENTITIES[entity.toLowerCase()];
+                return decoded !== undefined ? decoded : match;
+            })
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
 
-        if (keyLower.includes('email')) {
-            return 'email';
+    /**
+     * @description Link target for email (mailto:), phone (tel:) and url fields; '' when the value is not linkable
+     */
+    getFieldHref(fieldType, value, displayValue) {
+        if (fieldType === 'email') {
+            return displayValue.includes('@') ? `mailto:${displayValue}` : '';
         }
-
-        if (keyLower.includes('phone') || keyLower.includes('tel')) {
-            return 'phone';
+        if (fieldType === 'phone') {
+            const dialable = String(value).trim().replace(/[^\d+]/g, '');
+            return dialable.replace(/\D/g, '').length >= 3 ? `tel:${dialable}` : '';
         }
-
-        if (keyLower.includes('amount') || keyLower.includes('budget') || keyLower.includes('cost') || keyLower.includes('price')) {
-            return 'currency';
+        if (fieldType === 'url') {
+            return this.getSafeUrl(displayValue);
         }
+        return '';
+    }
 
-        if (keyLower.includes('date') || (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value))) {
-            return 'date';
+    /**
+     * @description http(s) URL for a url field; "www." values get https://, anything else (javascript:, data:, ...) is not linked
+     */
+    getSafeUrl(value) {
+        let candidate = String(value).trim();
+        if (/^www\./i.test(candidate)) {
+            candidate = `https://${candidate}`;
+        }
+        if (!/^https?:\/\/[^\s/?#]+\S*$/i.test(candidate)) return '';
+        try {
+            const url = new URL(candidate);
+            return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '';
+        } catch (e) {
+            console.warn('Invalid url field value:', e);
+            return '';
         }
-
-        return 'text';
     }
 
     /**
-     * @description Format value for display based on field type
+     * @description Whether a label entry marks its field as required ({ "label": "...", "required": true })
      */
-    formatValue(value, fieldType) {
+    isRequiredLabel(labelInfo) {
+        return !!labelInfo && typeof labelInfo === 'object' && labelInfo.required === true;
+    }
+
+    /**
+     * @description Blank = null/undefined, empty or whitespace-only string, or empty array
+     */
+    isBlankValue(value) {
+        if (value === null || value === undefined) return true;
+        if (typeof value === 'string') return value.trim() === '';
+        if (Array.isArray(value)) return value.length === 0;
+        return false;
+    }
+
+    /**
+     * @description Boolean-like truthiness for form values (true, "true", "yes")
+     */
+    isTruthyValue(value) {
+        if (typeof value === 'boolean') return value;
+        const strVal = String(value).trim().toLowerCase();
+        return strVal === 'true' || strVal === 'yes';
+    }
+
+    /**
+     * @description Whether a processed field is rendered: hideEmptyFields drops blank values, except missing required ones
+     */
+    shouldShowField(field) {
+        return !!field && (!this.hideEmptyFields || field.displayValue !== '—' || field.isMissing);
+    }
+
+    /**
+     * @description Collect missing required fields from processed sections (section fields, blocks, nested blocks,
+     * array rows) and give each an anchorId (its getCommentKey path key) so the summary banner can link to it.
+     * @returns {object[]} { anchorId, sectionId, sectionTitle, label }
+     */
+    collectMissingFields(sections) {
+        const missing = [];
+        this.forEachField(sections, (section, field, path, label) => {
+            if (!field.isMissing) return;
+            const anchorId = this.getCommentKey(path);
+            field.anchorId = anchorId;
+            missing.push({ anchorId, sectionId: section.id, sectionTitle: section.title, label: label });
+        });
+        return missing;
+    }
+
+    /**
+     * @description Call fn for every field of the processed sections (section fields, blocks, nested blocks, array rows)
+     * @param {object[]} sections - Processed sections
+     * @param {function} fn - (section, field, path, label): path is the field's key path as in getCommentKey
+     * (e.g. ['Applicant', 'Contact', 'SSN'], an array row as its rowId or position) and label names array cells
+     * by their row (Budget #2: Amount)
+     */
+    forEachField(sections, fn) {
+        for (const section of sections) {
+            (section.fields || []).forEach(field => fn(section, field, [section.id, field.id], field.label));
+            for (const block of section.blocks || []) {
+                const blockPath = [section.id, block.id];
+                if (block.isArray) {
+                    (block.items || []).forEach(item => {
+                        item.fields.forEach(field => fn(section, field, [...blockPath, item.rowId || item.index, field.id],
+                            `${block.title ? block.title + ' ' : ''}#${item.index}: ${field.label}`));
+                    });
+                    continue;
+                }
+                (block.fields || []).forEach(field => fn(section, field, [...blockPath, field.id], field.label));
+                (block.nestedBlocks || []).forEach(nested => {
+                    (nested.fields || []).forEach(field => fn(section, field, [...blockPath, nested.id, field.id], field.label));
+                });
+            }
+        }
+    }
+
+    /**
+     * @description Set the reveal state of the sensitive fields: revealKey (field path as a getCommentKey JSON
+     * array, also logged as the revealed Field_Path__c), canReveal (running user
+     * holds the reveal permission), and isRevealed / isMasked from the fields revealed this session.
+     * Display only: the full value is in the form data the host passed in, so this is not access control.
+     */
+    applySensitiveState(sections) {
+        const canReveal = this._canRevealSensitive === true;
+        this.forEachField(sections, (section, field, path) => {
+            if (!field.isSensitive) return;
+            field.revealKey = this.getCommentKey(path);
+            field.canReveal = canReveal;
+            field.isRevealed = canReveal && this._revealedFields.has(field.revealKey);
+            field.isMasked = !field.isRevealed;
+        });
+    }
+
+    /**
+     * @description Check once (IntakeFormReviewSummaryController.getSensitiveAccess) whether the running user may
+     * reveal sensitive fields; only asked when the review has sensitive fields. On failure Reveal stays hidden.
+     */
+    loadSensitiveAccess() {
+        if (this._sensitiveAccessRequested || !this._actionUtil) return;
+        let hasSensitive = false;
+        this.forEachField(this.processedSections, (section, field) => {
+            hasSensitive = hasSensitive || !!field.isSensitive;
+        });
+        if (!hasSensitive) return;
+        this._sensitiveAccessRequested = true;
+
+        const params = {
+            input: '{}',
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getSensitiveAccess',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                const result = response && response.result;
+                if (result && result.error) {
+                    console.warn('Failed to check sensitive field access:', result.error);
+                }
+                this._canRevealSensitive = !!result && result.canReveal === true;
+                this.applySensitiveState(this.processedSections);
+            })
+            .catch((err) => {
+                console.warn('Failed to check sensitive field access:', err);
+                this._canRevealSensitive = false;
+            });
+    }
+
+    /**
+     * @description Stable id of an array row: its record Id (Id / id in the row data), or null when the row has none
+     */
+    getRowId(item) {
+        const rowId = this.isObject(item) ? (item.Id ?? item.id) : null;
+        if (typeof rowId === 'number') return String(rowId);
+        return typeof rowId === 'string' && rowId.trim() ? rowId.trim() : null;
+    }
+
+    /**
+     * @description Comment key of a field, row or block: its path as a JSON array, so label keys containing any
+     * character (e.g. "-") cannot collide. A row is its rowId (string) or, without one, its 1-based position (number).
+     * @example getCommentKey(['Applicant', 'Staff', 2, 'Salary']) => '["Applicant","Staff",2,"Salary"]'
+     */
+    getCommentKey(path) {
+        return JSON.stringify(path);
+    }
+
+    /**
+     * @description Attach review comments to the processed sections: a commentThread (see getCommentThread) on each
+     * field, array row, block and nested block, keyed by getCommentKey, and the number of comments shown in each
+     * section header
+     */
+    applyComments(sections) {
+        for (const section of sections) {
+            let count = 0;
+            let isFlagged = false;
+            const attach = (target, key, label) => {
+                target.commentThread = this.getCommentThread(key, label);
+                if (!target.commentThread) return;
+                count += target.commentThread.comments.length;
+                isFlagged = isFlagged || target.commentThread.isFlagged;
+            };
+
+            (section.fields || []).forEach(field => attach(field, this.getCommentKey([section.id, field.id]), field.label));
+            for (const block of section.blocks || []) {
+                const blockPath = [section.id, block.id];
+                attach(block, this.getCommentKey(blockPath), block.title || block.id);
+                if (block.isArray) {
+                    (block.items || []).forEach(item => attach(item, this.getCommentKey([...blockPath, item.rowId || item.index]),
+                        `${block.title ? block.title + ' ' : ''}#${item.index}`));
+                    continue;
+                }
+                (block.fields || []).forEach(field => attach(field, this.getCommentKey([...blockPath, field.id]), field.label));
+                (block.nestedBlocks || []).forEach(nested => {
+                    attach(nested, this.getCommentKey([...blockPath, nested.id]), nested.title || nested.id);
+                    (nested.fields || []).forEach(field => attach(field, this.getCommentKey([...blockPath, nested.id, field.id]), field.label));
+                });
+            }
+            section.commentCount = count;
+            section.commentCountText = count === 1 ? LABELS.commentOne : this.formatLabel(LABELS.commentMany, count);
+            section.commentIcon = isFlagged ? 'utility:priority' : 'utility:comments';
+            section.commentBadgeClass = isFlagged ? 'comment-count comment-count-flagged' : 'comment-count';
+        }
+    }
+
+    /**
+     * @description Comment thread of one field, row or block for c-review-comment-thread; null when there is nothing
+     * to show (no comments and the user cannot comment)
+     * @returns {object} { key, label, comments, canComment, isFlagged, isSaving, saveError }
+     */
+    getCommentThread(key, label) {
+        const comments = this._commentsByKey[key] || [];
+        if (!this._canComment && comments.length === 0) return null;
+        const isSaveTarget = this._commentSave.key === key;
+        return {
+            key,
+            label,
+            comments,
+            canComment: this._canComment,
+            isFlagged: comments.some(comment => comment.isFlagged),
+            isSaving: isSaveTarget && !!this._commentSave.isSaving,
+            saveError: isSaveTarget ? this._commentSave.error || '' : ''
+        };
+    }
+
+    /**
+     * @description reviewerMode / showComments: load the proposal's review comments once per proposal
+     * (IntakeFormReviewSummaryController.getReviewComments). The server decides whether the user may comment
+     * and whether a non-reviewer sees the comments (Assign Back). On failure no comments are shown.
+     */
+    loadReviewComments() {
+        if (!(this.reviewerMode || this.showComments) || !this._actionUtil) return;
+        const parentId = this.getParentRecordId();
+        if (!parentId || parentId === this._commentsParentId) return;
+        this._commentsParentId = parentId;
+
+        const params = {
+            input: JSON.stringify({ proposal: parentId }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'getReviewComments',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                if (parentId !== this._commentsParentId) return;
+                const result = response && response.result;
+                if (result && result.error) {
+                    console.warn('Failed to load review comments:', result.error);
+                }
+                const parsed = result && result.reviewComments ? JSON.parse(result.reviewComments) : {};
+                const comments = this.isObject(parsed) && Array.isArray(parsed.comments) ? parsed.comments : [];
+                this._canComment = !!this.reviewerMode && parsed.canComment === true;
+                this._commentsByKey = {};
+                comments.forEach(comment => this.addComment(comment));
+                this.applyComments(this.processedSections);
+            })
+            .catch((err) => {
+                console.warn('Failed to load review comments:', err);
+            });
+    }
+
+    /**
+     * @description Add a comment from the controller (CommentWrapper) to _commentsByKey, ready for the template
+     */
+    addComment(comment) {
+        if (!this.isObject(comment) || !comment.fieldKey) return;
+        const key = comment.fieldKey;
+        this._commentsByKey[key] = [...(this._commentsByKey[key] || []), {
+            id: comment.id,
+            comment: comment.comment || '',
+            isFlagged: comment.isFlagged === true,
+            byLine: this.formatLabel(LABELS.commentByLine, comment.createdByName || '', this.formatTimestamp(comment.createdDate))
+        }];
+    }
+
+    /**
+     * @description Detect the field type for a field without an explicit type: booleans by value, then the registered
+     * field types (Review_Field_Type__mdt) in order, then the built-in DETECTION_RULES. Key patterns are matched against
+     * the key's words, so "tel" finds ContactTel but not HotelName. Label JSON _keyTypeDetection: false turns off the
+     * built-in key-name rules (registered types still apply).
+     * @returns {string} Type name ('text' when nothing matches)
+     */
+    detectFieldType(key, value) {
+        if (typeof value === 'boolean') {
+            return 'boolean';
+        }
+
+        const keyWords = this.getKeyWords(key);
+        const text = value === null || value === undefined ? '' : (typeof value === 'object' ? null : String(value).trim());
+        const useKeyRules = !(this._labelData && this._labelData._keyTypeDetection === false);
+        const builtInRules = useKeyRules ? DETECTION_RULES : DETECTION_RULES.filter(rule => !rule.keyPattern);
+        const match = [...(this._fieldTypes || []), ...builtInRules]
+            .find(rule => this.matchesFieldType(rule, keyWords, text));
+        return match ? match.type : 'text';
+    }
+
+    /**
+     * @description Whether a detection rule matches: its key pattern (on the key's words) and value pattern (on the
+     * trimmed value; never for objects) must both match when set. A rule without patterns is never detected.
+     */
+    matchesFieldType(rule, keyWords, text) {
+        if (!rule.keyPattern && !rule.valuePattern) return false;
+        return (!rule.keyPattern || rule.keyPattern.test(keyWords))
+            && (!rule.valuePattern || (text !== null && rule.valuePattern.test(text)));
+    }
+
+    /**
+     * @description Words of a field key for type detection: split at "_", "-", camelCase, acronym and digit
+     * boundaries, lowercase (ApplicantInformation_CEOPhone2 -> "applicant information ceo phone 2")
+     */
+    getKeyWords(key) {
+        return String(key)
+            .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .replace(/([a-zA-Z])(\d)/g, '$1 $2')
+            .replace(/[\s_.-]+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * @description Resolve a type name through the field type registry: a registered type (Review_Field_Type__mdt)
+     * gives its format and options; a built-in type formats as itself; anything else as plain text.
+     * @returns {object} { type, format, options }
+     */
+    getFieldTypeInfo(typeName) {
+        const registered = (this._fieldTypes || []).find(fieldType => fieldType.type === typeName);
+        if (registered) return registered;
+        return { type: typeName, format: FIELD_TYPES.includes(typeName) ? typeName : 'text', options: {} };
+    }
+
+    /**
+     * @description Format value for display based on field type (format name)
+     * Numbers, currency and dates follow the running user's locale and currency (@salesforce/i18n)
+     * @param {*} value - Raw value
+     * @param {string} fieldType - Resolved format (getFieldTypeInfo)
+     * @param {object} options - Optional overrides: { currency, locale, dateFormat, timeZone } and registered format options
+     */
+    formatValue(value, fieldType, options = {}) {
         if (value === null || value === undefined || value === '') {
             return '—';
         }
@@ -681,65 +2476,234 @@ export default class IntakeFormReviewSummary extends LightningElement {
         // Boolean formatting
         if (typeof value === 'boolean' || fieldType === 'boolean') {
             if (typeof value === 'boolean') {
-                return value ? 'Yes' : 'No';
+                return value ? LABELS.yes : LABELS.no;
             }
             // Handle string booleans
             const strVal = String(value).toLowerCase();
-            if (strVal === 'true' || strVal === 'yes') return 'Yes';
-            if (strVal === 'false' || strVal === 'no') return 'No';
+            if (strVal === 'true' || strVal === 'yes') return LABELS.yes;
+            if (strVal === 'false' || strVal === 'no') return LABELS.no;
             return String(value);
         }
 
-        // Currency formatting
-        if (fieldType === 'currency') {
-            const numValue = typeof value === 'number' ? value : parseFloat(value);
-            if (!isNaN(numValue)) {
-                return new Intl.NumberFormat('en-US', {
-                    style: 'currency',
-                    currency: 'USD'
-                }).format(numValue);
-            }
-            return String(value);
+        const locale = this.getLocale(options);
+        const formatter = this._formatters[fieldType];
+        if (formatter) {
+            return formatter(value, locale, options || {});
         }
 
-        // Phone number formatting
-        if (fieldType === 'phone') {
-            return this.formatPhoneNumber(value);
+        // Default: return as string
+        if (typeof value === 'number') {
+            return value.toLocaleString(locale);
         }
 
-        // Email formatting (lowercase, trimmed)
-        if (fieldType === 'email') {
-            return String(value).trim().toLowerCase();
+        return String(value);
+    }
+
+    /**
+     * @description Currency amount in the field's currency (default: the user's currency)
+     */
+    formatCurrency(value, locale, options) {
+        const numValue = typeof value === 'number' ? value : parseFloat(value);
+        if (isNaN(numValue)) return String(value);
+        try {
+            return new Intl.NumberFormat(locale, {
+                style: 'currency',
+                currency: (options && options.currency) || USER_CURRENCY || 'USD'
+            }).format(numValue);
+        } catch (e) {
+            console.warn('Invalid currency/locale for currency field:', e);
+            return numValue.toLocaleString();
         }
+    }
+
+    /**
+     * @description Number with the locale's grouping and decimal separators
+     */
+    formatNumber(value, locale) {
+        const numValue = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(numValue) ? String(value) : numValue.toLocaleString(locale);
+    }
 
-        // Date formatting
-        if (fieldType === 'date') {
-            return this.formatDate(value);
+    /**
+     * @description Percentage: values are percentage points (25 -> 25%) unless options.fraction (0.25 -> 25%);
+     * options.decimals sets the maximum fraction digits (default 2)
+     */
+    formatPercent(value, locale, options) {
+        const numValue = typeof value === 'number' ? value : parseFloat(value);
+        if (isNaN(numValue)) return String(value);
+        const decimals = parseInt(options.decimals, 10);
+        try {
+            return new Intl.NumberFormat(locale, {
+                style: 'percent',
+                maximumFractionDigits: decimals >= 0 && decimals <= 20 ? decimals : 2
+            }).format(options.fraction === true ? numValue : numValue / 100);
+        } catch (e) {
+            console.warn('Invalid locale for percent field:', e);
+            return `${numValue}%`;
         }
+    }
 
-        // Number formatting
-        if (fieldType === 'number') {
-            const numValue = typeof value === 'number' ? value : parseFloat(value);
-            if (!isNaN(numValue)) {
-                return numValue.toLocaleString('en-US');
-            }
-            return String(value);
+    /**
+     * @description Date and time with the time zone name, in options.timeZone (IANA id, e.g. America/New_York) or the
+     * user's time zone. dateFormat 'short'|'medium'|'long'|'full' sets the date part; an options object replaces both.
+     */
+    formatDateTime(value, locale, options) {
+        const date = value instanceof Date ? value : new Date(typeof value === 'string' ? value.trim() : value);
+        if (isNaN(date.getTime())) return String(value);
+
+        const dateFormat = options.dateFormat;
+        const formatOptions = this.isObject(dateFormat)
+            ? { ...dateFormat }
+            : {
+                year: 'numeric',
+                month: dateFormat === 'short' ? 'numeric' : (dateFormat === 'long' || dateFormat === 'full' ? 'long' : 'short'),
+                day: 'numeric',
+                weekday: dateFormat === 'full' ? 'long' : undefined,
+                hour: 'numeric',
+                minute: '2-digit',
+                timeZoneName: 'short'
+            };
+        const timeZone = options.timeZone || USER_TIME_ZONE;
+        try {
+            return date.toLocaleString(locale, timeZone ? { ...formatOptions, timeZone } : formatOptions);
+        } catch (e) {
+            console.warn(`Invalid time zone "${timeZone}" for datetime field:`, e);
+            return date.toLocaleString(locale, formatOptions);
         }
+    }
 
-        // Default: return as string
-        if (typeof value === 'number') {
-            return value.toLocaleString();
+    /**
+     * @description Time of day in the locale's format (14:30 -> 2:30 PM for en-US). Times without a date are shown
+     * as entered; a full date/time shows its time in options.timeZone or the user's time zone.
+     */
+    formatTime(value, locale, options) {
+        const formatOptions = { hour: 'numeric', minute: '2-digit' };
+        const match = typeof value === 'string' ? value.trim().match(TIME_PATTERN) : null;
+        if (match) {
+            const [hours, minutes, seconds] = [match[1], match[2], match[3] || 0].map(Number);
+            if (hours > 23 || minutes > 59) return String(value);
+            return new Date(2000, 0, 1, hours, minutes, seconds).toLocaleTimeString(locale, formatOptions);
         }
 
-        return String(value);
+        const date = new Date(value);
+        if (typeof value !== 'string' || isNaN(date.getTime())) return String(value);
+        const timeZone = options.timeZone || USER_TIME_ZONE;
+        try {
+            return date.toLocaleTimeString(locale, timeZone ? { ...formatOptions, timeZone } : formatOptions);
+        } catch (e) {
+            console.warn(`Invalid time zone "${timeZone}" for time field:`, e);
+            return date.toLocaleTimeString(locale, formatOptions);
+        }
+    }
+
+    /**
+     * @description Duration as hours / minutes / seconds (90 -> "1 hr 30 min"). Numbers are in options.unit
+     * ('seconds', 'minutes' (default) or 'hours'); ISO 8601 durations (PT1H30M) are read as is.
+     */
+    formatDuration(value, locale, options) {
+        const raw = String(value).trim();
+        let totalSeconds;
+        const isoMatch = raw.match(ISO_DURATION_PATTERN);
+        if (isoMatch && raw.length > 1 && !/T$/i.test(raw)) {
+            const [days, hours, minutes, seconds] = isoMatch.slice(1).map(part => Number(part) || 0);
+            totalSeconds = ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+        } else {
+            const amount = this.toComputeNumber(value);
+            if (amount === null) return raw;
+            totalSeconds = amount * (DURATION_UNITS[options.unit] || DURATION_UNITS.minutes);
+        }
+
+        const sign = totalSeconds < 0 ? '-' : '';
+        const rounded = Math.round(Math.abs(totalSeconds));
+        const parts = [
+            [Math.floor(rounded / 3600), LABELS.durationHours],
+            [Math.floor((rounded % 3600) / 60), LABELS.durationMinutes],
+            [rounded % 60, LABELS.durationSeconds]
+        ]
+            .filter(([amount]) => amount > 0)
+            .map(([amount, template]) => this.formatLabel(template, amount.toLocaleString(locale)));
+        if (parts.length === 0) {
+            const unitLabel = options.unit === 'seconds' ? LABELS.durationSeconds
+                : (options.unit === 'hours' ? LABELS.durationHours : LABELS.durationMinutes);
+            return this.formatLabel(unitLabel, (0).toLocaleString(locale));
+        }
+        return sign + parts.join(' ');
+    }
+
+    /**
+     * @description Mask all letters and digits except the last options.visible (default 4), keeping separators
+     * (123-45-6789 -> •••-••-6789). options.maskCharacter replaces the default •.
+     */
+    formatMasked(value, options) {
+        const raw = String(value).trim();
+        const visible = parseInt(options.visible, 10);
+        const keep = visible >= 0 ? visible : 4;
+        const maskCharacter = typeof options.maskCharacter === 'string' && options.maskCharacter ? options.maskCharacter : '•';
+        let remaining = (raw.match(/[a-z\d]/gi) || []).length - keep;
+        return raw.replace(/[a-z\d]/gi, (character) => (remaining-- > 0 ? maskCharacter : character));
+    }
+
+    /**
+     * @description Masked text of a sensitive field: formatMasked on its display value, never leaving more than half
+     * of the letters and digits visible (so short values are not shown in full)
+     * @param {string} displayValue - Formatted value
+     * @param {object} options - Label JSON sensitive options { visible (default 4), maskCharacter }
+     */
+    getSensitiveMask(displayValue, options) {
+        const text = String(displayValue);
+        const visible = parseInt(options.visible, 10);
+        const maxVisible = Math.floor((text.match(/[a-z\d]/gi) || []).length / 2);
+        return this.formatMasked(text, { ...options, visible: Math.min(visible >= 0 ? visible : 4, maxVisible) });
+    }
+
+    /**
+     * @description Digits placed into a pattern where # stands for one digit (options.pattern "#####-####" for ZIP+4).
+     * A list of patterns uses the one with as many # as the value has digits; otherwise the value is shown as entered.
+     */
+    formatPattern(value, options) {
+        const raw = String(value).trim();
+        const digits = raw.replace(/\D/g, '');
+        const patterns = [].concat(options.pattern || []).filter(pattern => typeof pattern === 'string');
+        const pattern = patterns.find(candidate => (candidate.match(/#/g) || []).length === digits.length);
+        if (!pattern) return raw;
+        let index = 0;
+        return pattern.replace(/#/g, () => digits[index++]);
+    }
+
+    /**
+     * @description Locale for formatting: per-field override, else the running user's locale.
+     * Accepts Salesforce-style locales (en_CA) as well as BCP 47 (en-CA); falls back to the user locale if unsupported.
+     */
+    getLocale(options) {
+        const requested = options && typeof options.locale === 'string' && options.locale.trim()
+            ? options.locale.trim().replace(/_/g, '-')
+            : null;
+        if (requested) {
+            try {
+                if (Intl.NumberFormat.supportedLocalesOf([requested]).length > 0) {
+                    return requested;
+                }
+            } catch (e) {
+                console.warn(`Invalid locale "${requested}":`, e);
+            }
+        }
+        return USER_LOCALE || undefined;
     }
 
     /**
-     * @description Format phone number to (XXX) XXX-XXXX format
+     * @description Format phone number to (XXX) XXX-XXXX format for North American locales (US, CA).
+     * Other locales keep the number as entered, since national formats vary.
+     * @param {*} value - Raw phone value
+     * @param {string} locale - Locale used to pick the numbering format
      */
-    formatPhoneNumber(value) {
+    formatPhoneNumber(value, locale) {
         if (!value) return '—';
 
+        const region = typeof locale === 'string' ? (locale.split('-')[1] || '').toUpperCase() : '';
+        if (region && !NANP_REGIONS.includes(region)) {
+            return String(value).trim();
+        }
+
         // Remove all non-numeric characters
         const cleaned = String(value).replace(/\D/g, '');
 
@@ -760,9 +2724,12 @@ export default class IntakeFormReviewSummary extends LightningElement {
     }
 
     /**
-     * @description Format date to readable format
+     * @description Format date to readable format in the given locale
+     * @param {*} value - Date string (YYYY-MM-DD or ISO) or Date
+     * @param {string} locale - Locale for formatting
+     * @param {string|object} dateFormat - Optional: 'short'|'medium'|'long'|'full', 'iso', or Intl.DateTimeFormat options
      */
-    formatDate(value) {
+    formatDate(value, locale, dateFormat) {
         if (!value) return '—';
 
         try {
@@ -788,16 +2755,62 @@ export default class IntakeFormReviewSummary extends LightningElement {
                 return String(value);
             }
 
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
+            if (dateFormat === 'iso') {
+                const pad = (n) => String(n).padStart(2, '0');
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            }
+            let formatOptions = { year: 'numeric', month: 'long', day: 'numeric' };
+            if (DATE_STYLES.includes(dateFormat)) {
+                formatOptions = { dateStyle: dateFormat };
+            } else if (this.isObject(dateFormat)) {
+                formatOptions = dateFormat;
+            }
+            return date.toLocaleDateString(locale, formatOptions);
         } catch (e) {
             return String(value);
         }
     }
 
+    /**
+     * @description Resolve a label that may be multilingual: a plain string, or an object keyed by language
+     * (e.g. { "en_US": "Applicant", "es": "Solicitante" }). Tries the user's language (en_US / en-US), its base
+     * language (en), then label JSON _defaultLanguage (default en_US) and its base, then the first entry.
+     * @param {string|object} value - Label string or language map
+     * @returns {string} Label for the running user ('' when empty)
+     */
+    localizeLabel(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value !== 'object') return String(value);
+
+        const normalize = (lang) => String(lang).trim().replace(/-/g, '_').toLowerCase();
+        const entries = Object.keys(value).map(k => ({ key: normalize(k), text: value[k] }));
+        const defaultLanguage = (this._labelData && typeof this._labelData._defaultLanguage === 'string')
+            ? this._labelData._defaultLanguage
+            : DEFAULT_LANGUAGE;
+
+        const candidates = [];
+        for (const lang of [USER_LANGUAGE, defaultLanguage]) {
+            if (!lang) continue;
+            const full = normalize(lang);
+            candidates.push(full, full.split('_')[0]);
+        }
+        for (const candidate of candidates) {
+            const match = entries.find(e => e.key === candidate && typeof e.text === 'string' && e.text);
+            if (match) return match.text;
+        }
+        const first = entries.find(e => typeof e.text === 'string' && e.text);
+        return first ? first.text : '';
+    }
+
+    /**
+     * @description Fill {0}, {1}, ... placeholders in a Custom Label
+     */
+    formatLabel(template, ...args) {
+        return String(template).replace(/\{(\d+)\}/g, (match, index) => (
+            args[index] !== undefined ? String(args[index]) : match
+        ));
+    }
+
     /**
      * @description Format section title from key (generic - no hardcoded prefixes)
      * @param {string} key - The section key
@@ -827,7 +2840,7 @@ export default class IntakeFormReviewSummary extends LightningElement {
     formatBlockTitle(key, blockLabels = null) {
         // PRIORITY 1: Use _blockTitle from label JSON if provided
         if (blockLabels && typeof blockLabels === 'object' && blockLabels._blockTitle) {
-            return blockLabels._blockTitle;
+            return this.localizeLabel(blockLabels._blockTitle);
         }
 
         // PRIORITY 2: Generic formatting from key name
@@ -845,6 +2858,109 @@ export default class IntakeFormReviewSummary extends LightningElement {
         return title.trim() || key;
     }
 
+    /**
+     * @description Starter label JSON for the current form data (designMode). Walks the data like processFormData:
+     * each step with object data becomes a section (_sectionTitle from formatSectionTitle, sequential _order),
+     * nested objects become blocks and arrays of objects become tables (_blockTitle from formatBlockTitle), and
+     * fields get a label from their key and a type from detectFieldType. Blocks and fields keep the data's key
+     * order, so they get no _order (an _order on blocks alone would sort them before every field).
+     * Skipped fields, synthetic sections and keys starting with "_" are left out.
+     * @returns {object} Label JSON to copy into Label_JSON__c (or labelData) and edit
+     */
+    @api
+    generateLabelJson() {
+        const labels = {};
+        if (!this.isObject(this._formData)) return labels;
+
+        const skipKeys = [...this._skipFields, ...Object.keys(this.getSyntheticSectionConfig())];
+        let order = 1;
+        for (const key of Object.keys(this._formData)) {
+            if (skipKeys.includes(key) || key.startsWith('_')) continue;
+
+            // Step values may be JSON text (Long Text Area fields), as in buildFormSections
+            let value = this._formData[key];
+            if (typeof value === 'string') {
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    console.warn(`Failed to parse JSON for section ${key}:`, e);
+                    continue;
+                }
+            }
+            if (!this.isObject(value)) continue;
+
+            labels[key] = {
+                _sectionTitle: this.formatSectionTitle(key),
+                _order: order++,
+                ...this.buildStarterLabels(value, true)
+            };
+        }
+        return labels;
+    }
+
+    /**
+     * @description Starter labels for the keys of a section, block or array row (see generateLabelJson).
+     * Arrays are only labeled at the section level, where processSection renders them.
+     */
+    buildStarterLabels(data, allowArrays) {
+        const labels = {};
+        for (const [key, value] of Object.entries(data)) {
+            if (key.startsWith('_')) continue;
+
+            if (Array.isArray(value)) {
+                const rows = value.filter(item => this.isObject(item));
+                if (!allowArrays || rows.length === 0) continue;
+                // One sample row with the first non-blank value of every key, so each column gets a type.
+                // Object-valued cells are left out: a table cell cannot show a nested block.
+                const sample = {};
+                rows.forEach(row => Object.keys(row).forEach(rowKey => {
+                    if (this.isObject(row[rowKey])) return;
+                    if (this.isBlankValue(sample[rowKey])) sample[rowKey] = row[rowKey];
+                }));
+                labels[key] = {
+                    _blockTitle: this.formatBlockTitle(key),
+                    ...this.buildStarterLabels(sample, false)
+                };
+            } else if (this.isObject(value)) {
+                labels[key] = {
+                    _blockTitle: this.formatBlockTitle(key),
+                    ...this.buildStarterLabels(value, false)
+                };
+            } else {
+                labels[key] = this.buildStarterFieldLabel(key, value);
+            }
+        }
+        return labels;
+    }
+
+    /**
+     * @description Starter field label: short form for plain text, otherwise { label, type } (long text gets colspan 12)
+     */
+    buildStarterFieldLabel(key, value) {
+        const label = this.formatFieldLabel(key);
+        const fieldType = this.detectFieldType(key, value);
+        if (fieldType !== 'text') {
+            return { label, type: fieldType };
+        }
+        return typeof value === 'string' && value.length > STARTER_WIDE_TEXT_LENGTH
+            ? { label, colspan: 12 }
+            : label;
+    }
+
+    /**
+     * @description Field label from a key: the part after the last "_" (the step prefix is usually repeated),
+     * split at camelCase and acronym boundaries, e.g. ApplicantInformation_CEOName -> "CEO Name"
+     */
+    formatFieldLabel(key) {
+        const name = key.replace(/^.*_(?=[^_]+$)/, '');
+        return name
+            .replace(/-/g, ' ')
+            .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .replace(/\b\w/g, l => l.toUpperCase())
+            .trim() || key;
+    }
+
     /**
      * @description Get keys from a labels object sorted by _order (ascending).
      * Keys with _order use that value; keys without use 999 so they follow ordered items.
@@ -896,46 +3012,876 @@ export default class IntakeFormReviewSummary extends LightningElement {
     }
 
     /**
-     * @description Check if value is a plain object
+     * @description Evaluate a label entry's visibleWhen condition (no condition = visible).
+     * Condition grammar (objects may be nested; an array is shorthand for "and"):
+     *   { "field": "Key", "equals": "Yes" }          value equals (compared as strings, so true matches "true")
+     *   { "field": "Key", "in": ["A", "B"] }         value is one of the list
+     *   { "field": "Key", "notEmpty": true }         value is not blank (notEmpty: false = is blank)
+     *   { "and": [cond, ...] } / { "or": [cond, ...] }
+     * "field" is a data key or dot path, resolved in scope order (innermost data first), then inside each step of the form data.
+     * @param {string|object} labelInfo - Section, block or field label entry
+     * @param {object[]} scope - Data objects to resolve field references against, innermost first
+     * @returns {boolean} Whether the entry should be shown
      */
-    isObject(value) {
-        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    isVisibleByCondition(labelInfo, scope) {
+        if (!labelInfo || typeof labelInfo !== 'object' || labelInfo.visibleWhen === undefined) return true;
+        try {
+            return this.evaluateCondition(labelInfo.visibleWhen, scope);
+        } catch (e) {
+            console.warn('Invalid visibleWhen condition; showing the item:', labelInfo.visibleWhen, e);
+            return true;
+        }
     }
 
     /**
-     * @description Toggle section expansion
+     * @description Evaluate one visibleWhen condition node (see isVisibleByCondition for the grammar)
      */
-    handleSectionToggle(event) {
-        const sectionId = event.currentTarget.dataset.sectionId;
-        this.toggleSection(sectionId);
+    evaluateCondition(condition, scope) {
+        if (Array.isArray(condition)) {
+            return condition.every(c => this.evaluateCondition(c, scope));
+        }
+        if (!this.isObject(condition)) {
+            throw new Error('Condition must be an object or array');
+        }
+
+        let result = true;
+        let hasOperator = false;
+        if (Array.isArray(condition.and)) {
+            hasOperator = true;
+            result = result && condition.and.every(c => this.evaluateCondition(c, scope));
+        }
+        if (Array.isArray(condition.or)) {
+            hasOperator = true;
+            result = result && condition.or.some(c => this.evaluateCondition(c, scope));
+        }
+        if (typeof condition.field === 'string') {
+            const value = this.resolveConditionValue(condition.field, scope);
+            if ('equals' in condition) {
+                hasOperator = true;
+                result = result && this.valuesEqual(value, condition.equals);
+            }
+            if (Array.isArray(condition.in)) {
+                hasOperator = true;
+                result = result && condition.in.some(option => this.valuesEqual(value, option));
+            }
+            if ('notEmpty' in condition) {
+                hasOperator = true;
+                result = result && (this.isBlankValue(value) !== (condition.notEmpty !== false));
+            }
+        }
+        if (!hasOperator) {
+            throw new Error('Condition has no supported operator (equals, in, notEmpty, and, or)');
+        }
+        return result;
     }
 
     /**
-     * @description Handle keyboard navigation for section toggle
+     * @description Resolve a visibleWhen field reference: each scope object in order, then each step of the form data
      */
-    handleSectionKeydown(event) {
-        if (event.key === 'Enter' || event.key === ' ') {
-            event.preventDefault();
-            const sectionId = event.currentTarget.dataset.sectionId;
-            this.toggleSection(sectionId);
+    resolveConditionValue(fieldPath, scope) {
+        for (const data of scope) {
+            const value = this.getValueByPath(data, fieldPath);
+            if (value !== undefined) return value;
+        }
+        if (this.isObject(this._formData)) {
+            for (const stepData of Object.values(this._formData)) {
+                if (this.isObject(stepData)) {
+                    const value = this.getValueByPath(stepData, fieldPath);
+                    if (value !== undefined) return value;
+                }
+            }
         }
+        return undefined;
     }
 
     /**
-     * @description Toggle a section's expanded state
+     * @description Loose equality for conditions: compares trimmed string forms (null/undefined match only null)
      */
-    toggleSection(sectionId) {
-        this.processedSections = this.processedSections.map(section => {
-            if (section.id === sectionId) {
-                const newExpanded = !section.isExpanded;
-                return {
-                    ...section,
-                    isExpanded: newExpanded,
-                    chevronIcon: newExpanded ? 'utility:chevrondown' : 'utility:chevronright'
-                };
-            }
-            return section;
-        });
+    valuesEqual(value, expected) {
+        if (value === null || value === undefined) {
+            return expected === null;
+        }
+        if (expected === null || expected === undefined) return false;
+        return String(value).trim() === String(expected).trim();
+    }
+
+    /**
+     * @description Resolve the form data key for a label entry.
+     * Section, block and field label objects may set _dataKey when the data key differs from the label key.
+     * @param {string} key - Label key
+     * @param {string|object} labelInfo - Label entry for that key
+     * @returns {string} Key to read from the form data
+     */
+    resolveDataKey(key, labelInfo) {
+        if (labelInfo && typeof labelInfo === 'object' && typeof labelInfo._dataKey === 'string' && labelInfo._dataKey.trim()) {
+            return labelInfo._dataKey.trim();
+        }
+        return key;
+    }
+
+    /**
+     * @description Value shown for a label entry: its compute result when it defines one, otherwise the form data value
+     * @param {string} key - Label key
+     * @param {string|object} labelInfo - Label entry for that key
+     * @param {object} data - Data object the entry belongs to (section, block or array row)
+     * @param {object[]} scope - Data objects to resolve compute field references against, innermost first
+     * @returns {*} Value to display (undefined = no data)
+     */
+    resolveFieldValue(key, labelInfo, data, scope) {
+        if (labelInfo && typeof labelInfo === 'object' && labelInfo.compute !== undefined) {
+            try {
+                return this.evaluateCompute(labelInfo.compute, scope);
+            } catch (e) {
+                console.warn('Invalid compute definition; skipping the field:', labelInfo.compute, e);
+                return undefined;
+            }
+        }
+        return data[this.resolveDataKey(key, labelInfo)];
+    }
+
+    /**
+     * @description Evaluate a compute definition (no eval; one operator per node, nodes may be nested).
+     * Grammar:
+     *   { "sum": "Items", "field": "Amount" }        sum of a key over an array (also avg, min, max)
+     *   { "count": "Items" }                         number of rows (with "field": rows where that key is not blank)
+     *   { "add": [a, b, ...] }                       arithmetic (also subtract, multiply, divide)
+     *   { "concat": [a, b, ...], "separator": " " }  join non-blank values
+     *   { "age": a }                                 whole years since a date
+     * Operands: number = literal, string = data key or dot path (resolved like visibleWhen fields),
+     * { "value": x } = literal, object = nested compute. Any node may set "round" (decimal places).
+     * A blank operand makes arithmetic blank (add/subtract skip it); dividing by zero is blank.
+     * @param {object} definition - Compute node
+     * @param {object[]} scope - Data objects to resolve field references against, innermost first
+     * @returns {number|string|null} Computed value (null = blank)
+     */
+    evaluateCompute(definition, scope) {
+        if (!this.isObject(definition)) {
+            throw new Error('Compute must be an object');
+        }
+        const operator = COMPUTE_OPERATORS.filter(op => op in definition);
+        if (operator.length !== 1) {
+            throw new Error(`Compute needs exactly one operator (${COMPUTE_OPERATORS.join(', ')})`);
+        }
+
+        const op = operator[0];
+        let result;
+        if (['sum', 'avg', 'min', 'max', 'count'].includes(op)) {
+            result = this.computeAggregate(op, definition, scope);
+        } else if (['add', 'subtract', 'multiply', 'divide'].includes(op)) {
+            result = this.computeArithmetic(op, this.getComputeArgs(definition[op], scope));
+        } else if (op === 'concat') {
+            const separator = typeof definition.separator === 'string' ? definition.separator : ' ';
+            result = this.getComputeArgs(definition.concat, scope)
+                .filter(value => !this.isBlankValue(value))
+                .map(value => String(value).trim())
+                .join(separator);
+        } else {
+            result = this.computeAge(this.resolveComputeOperand(definition.age, scope));
+        }
+
+        if (typeof result === 'number' && typeof definition.round === 'number') {
+            const factor = Math.pow(10, Math.min(Math.max(Math.trunc(definition.round), 0), 10));
+            result = Math.round(result * factor) / factor;
+        }
+        return result;
+    }
+
+    /**
+     * @description sum/avg/min/max/count over an array referenced by key or dot path
+     */
+    computeAggregate(op, definition, scope) {
+        const rows = typeof definition[op] === 'string'
+            ? this.resolveConditionValue(definition[op], scope)
+            : this.resolveComputeOperand(definition[op], scope);
+        if (rows === null || rows === undefined) return op === 'count' || op === 'sum' ? 0 : null;
+        if (!Array.isArray(rows)) {
+            throw new Error(`"${op}" must reference an array`);
+        }
+
+        const field = typeof definition.field === 'string' ? definition.field : null;
+        const values = field ? rows.map(row => this.getValueByPath(row, field)) : rows;
+        if (op === 'count') {
+            return field ? values.filter(value => !this.isBlankValue(value)).length : rows.length;
+        }
+
+        const numbers = values.map(value => this.toComputeNumber(value)).filter(value => value !== null);
+        if (op === 'sum') return numbers.reduce((total, value) => total + value, 0);
+        if (numbers.length === 0) return null;
+        if (op === 'avg') return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        return op === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+    }
+
+    /**
+     * @description add/subtract/multiply/divide, left to right
+     */
+    computeArithmetic(op, args) {
+        let numbers = args.map(value => this.toComputeNumber(value));
+        if (op === 'add' || op === 'subtract') {
+            if (numbers.every(value => value === null)) return null;
+            // Blank operands count as zero when adding or subtracting
+            numbers = numbers.map(value => (value === null ? 0 : value));
+        } else if (numbers.length === 0 || numbers.includes(null)) {
+            return null;
+        }
+
+        return numbers.slice(1).reduce((result, value) => {
+            if (result === null) return null;
+            if (op === 'add') return result + value;
+            if (op === 'subtract') return result - value;
+            if (op === 'multiply') return result * value;
+            return value === 0 ? null : result / value;
+        }, numbers[0]);
+    }
+
+    /**
+     * @description Whole years between a date (YYYY-MM-DD or ISO datetime) and today
+     */
+    computeAge(value) {
+        if (this.isBlankValue(value)) return null;
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value).trim());
+        if (!match) return null;
+        const today = new Date();
+        const month = Number(match[2]);
+        const day = Number(match[3]);
+        let age = today.getFullYear() - Number(match[1]);
+        if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) {
+            age--;
+        }
+        return age >= 0 ? age : null;
+    }
+
+    /**
+     * @description Resolve a list of compute operands (a single operand is treated as a list of one)
+     */
+    getComputeArgs(args, scope) {
+        const list = Array.isArray(args) ? args : [args];
+        return list.map(arg => this.resolveComputeOperand(arg, scope));
+    }
+
+    /**
+     * @description Compute operand: number literal, { value } literal, nested compute, or field reference
+     */
+    resolveComputeOperand(operand, scope) {
+        if (typeof operand === 'number') return operand;
+        if (typeof operand === 'string') return this.resolveConditionValue(operand, scope);
+        if (this.isObject(operand)) {
+            return 'value' in operand ? operand.value : this.evaluateCompute(operand, scope);
+        }
+        throw new Error('Compute operand must be a number, field reference or object');
+    }
+
+    /**
+     * @description Number from a compute operand (numbers, numeric strings with optional thousands separators); null if not numeric
+     */
+    toComputeNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (typeof value !== 'string' || !value.trim()) return null;
+        const number = Number(value.trim().replace(/,/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * @description Check if value is a plain object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * @description Toggle section expansion
+     */
+    handleSectionToggle(event) {
+        const sectionId = event.currentTarget.dataset.sectionId;
+        this.toggleSection(sectionId);
+    }
+
+    /**
+     * @description Edit action on a section header: navigate to the OmniScript step, or notify the host page
+     */
+    handleSectionEdit(event) {
+        const sectionId = event.currentTarget.dataset.sectionId;
+        const section = this.processedSections.find(s => s.id === sectionId);
+        if (!section) return;
+
+        if (this.omniJsonData) {
+            this.omniNavigateTo(section.stepName);
+        } else {
+            this.dispatchEvent(new CustomEvent('sectionedit', {
+                detail: { sectionId: section.id, stepName: section.stepName }
+            }));
+        }
+    }
+
+    /**
+     * @description Compare bar toggle: show only changed fields
+     */
+    handleChangedOnlyToggle(event) {
+        this._showChangedOnly = event.target.checked;
+    }
+
+    /**
+     * @description Search box: filter the rendered sections as the reviewer types
+     */
+    handleSearchChange(event) {
+        this._searchTerm = (event.detail.value || '').trim();
+    }
+
+    /**
+     * @description Sortable array header: sort by the column, toggling ascending / descending; back to page 1
+     */
+    handleTableSort(event) {
+        const { tableKey, fieldName } = event.currentTarget.dataset;
+        const state = this._tableState[tableKey] || {};
+        const sortDirection = state.sortBy === fieldName && state.sortDirection !== 'desc' ? 'desc' : 'asc';
+        this._tableState = { ...this._tableState, [tableKey]: { sortBy: fieldName, sortDirection, page: 1 } };
+    }
+
+    /**
+     * @description Array table pager (Previous / Next)
+     */
+    handleTablePage(event) {
+        const { tableKey, page } = event.currentTarget.dataset;
+        this._tableState = {
+            ...this._tableState,
+            [tableKey]: { ...(this._tableState[tableKey] || {}), page: parseInt(page, 10) }
+        };
+    }
+
+    /**
+     * @description Reveal / Hide on a sensitive field (revealtoggle from c-review-field-value). Hiding is local;
+     * a reveal is logged first (IntakeFormReviewSummaryController.revealSensitiveField) and the value is only
+     * shown once the log is saved. A failed reveal shows a message on the field.
+     */
+    handleRevealToggle(event) {
+        const { revealKey, reveal } = event.detail || {};
+        if (!revealKey) return;
+        if (!reveal) {
+            this._revealedFields.delete(revealKey);
+            this.applySensitiveState(this.processedSections);
+            return;
+        }
+        const field = this.findFieldByPath(revealKey);
+        if (!field || !field.canReveal || !this._actionUtil) return;
+        field.revealError = '';
+
+        const params = {
+            input: JSON.stringify({
+                proposal: this.getParentRecordId() || null,
+                formType: this.formType || null,
+                fieldPath: revealKey,
+                fieldLabel: field.label
+            }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'revealSensitiveField',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                const result = response && response.result;
+                if (!result || result.error || !result.revealLogId) {
+                    throw new Error((result && result.error) || 'No reveal log was saved.');
+                }
+                this._revealedFields.add(revealKey);
+                this.applySensitiveState(this.processedSections);
+            })
+            .catch((err) => {
+                console.warn('Failed to reveal sensitive field:', err);
+                // The sections may have been re-processed meanwhile; look the field up again
+                const current = this.findFieldByPath(revealKey);
+                if (current) current.revealError = LABELS.revealFailed;
+            });
+    }
+
+    /**
+     * @description Processed field whose forEachField path has the given getCommentKey key (e.g. a revealKey), or null
+     */
+    findFieldByPath(key) {
+        let match = null;
+        this.forEachField(this.processedSections, (section, field, path) => {
+            if (this.getCommentKey(path) === key) match = field;
+        });
+        return match;
+    }
+
+    /**
+     * @description Save a reviewer comment / flag (commentsave from c-review-comment-thread) through
+     * IntakeFormReviewSummaryController.saveReviewComment and add it to its thread once saved
+     */
+    handleCommentSave(event) {
+        const { key, label, comment, isFlagged } = event.detail || {};
+        const parentId = this.getParentRecordId();
+        if (!key || !parentId || !this._canComment || !this._actionUtil) return;
+        this._commentSave = { key, isSaving: true, error: '' };
+        this.applyComments(this.processedSections);
+
+        const params = {
+            input: JSON.stringify({
+                proposal: parentId,
+                fieldKey: key,
+                targetLabel: label,
+                comment: comment,
+                isFlagged: isFlagged === true,
+                formType: this.formType || null
+            }),
+            sClassName: 'IntakeFormReviewSummaryController',
+            sMethodName: 'saveReviewComment',
+            options: '{}'
+        };
+
+        this._actionUtil
+            .executeAction(params, null, this, null, null)
+            .then((response) => {
+                const result = response && response.result;
+                if (!result || result.error || !result.comment) {
+                    throw new Error((result && result.error) || 'No comment was saved.');
+                }
+                this.addComment(JSON.parse(result.comment));
+                this._commentSave = {};
+                this.applyComments(this.processedSections);
+            })
+            .catch((err) => {
+                console.warn('Failed to save review comment:', err);
+                this._commentSave = { key, isSaving: false, error: LABELS.commentSaveFailed };
+                this.applyComments(this.processedSections);
+            });
+    }
+
+    /**
+     * @description Version picker: re-render the chosen snapshot (or the current data) through processFormData
+     */
+    handleVersionChange(event) {
+        this._selectedVersion = event.detail.value;
+        this.initializeData();
+    }
+
+    /**
+     * @description Toggle a section's expanded state
+     */
+    toggleSection(sectionId) {
+        const section = this.processedSections.find(s => s.id === sectionId);
+        if (section) {
+            this.setSectionsExpanded([sectionId], !section.isExpanded);
+        }
+    }
+
+    /**
+     * @description Expand All control
+     */
+    handleExpandAll() {
+        this.setSectionsExpanded(this.processedSections.map(section => section.id), true);
+    }
+
+    /**
+     * @description Collapse All control
+     */
+    handleCollapseAll() {
+        this.setSectionsExpanded(this.processedSections.map(section => section.id), false);
+    }
+
+    /**
+     * @description Expand or collapse sections and remember the choice for this user and form type
+     */
+    setSectionsExpanded(sectionIds, isExpanded) {
+        // Print layout keeps every section expanded
+        if (this.isPrintLayout) return;
+        const state = this.getSectionState();
+        for (const sectionId of sectionIds) {
+            state[sectionId] = isExpanded;
+            if (!isExpanded) {
+                // Collapsing unmounts the budget/document child; it reloads when expanded again
+                this._loadedChildSections.delete(sectionId);
+            }
+        }
+        this.saveSectionState();
+        this.processedSections = this.processedSections.map(section => (
+            sectionIds.includes(section.id)
+                ? { ...section, isExpanded, chevronIcon: this.getChevronIcon(isExpanded) }
+                : section
+        ));
+    }
+
+    /**
+     * @description Apply remembered expanded state to freshly built sections (others keep their _collapsed default)
+     */
+    applySectionState(sections) {
+        const state = this.getSectionState();
+        for (const section of sections) {
+            if (typeof state[section.id] === 'boolean') {
+                section.isExpanded = state[section.id];
+            }
+            section.chevronIcon = this.getChevronIcon(section.isExpanded);
+        }
+    }
+
+    /**
+     * @description Remembered section state for the current user and form, read from sessionStorage on first use.
+     *              The form is its formType, or a hash of the label JSON keys when formType is not set.
+     */
+    getSectionState() {
+        const formKey = this.formType || `labels-${this.getLabelKeyHash()}`;
+        const key = `${SECTION_STATE_KEY}.${USER_ID || 'guest'}.${formKey}`;
+        if (this._sectionStateKey !== key) {
+            this._sectionStateKey = key;
+            this._sectionState = {};
+            try {
+                const stored = JSON.parse(window.sessionStorage.getItem(key) || '{}');
+                if (this.isObject(stored)) {
+                    this._sectionState = stored;
+                }
+            } catch (e) {
+                console.warn('Failed to read section state:', e);
+            }
+        }
+        return this._sectionState;
+    }
+
+    /**
+     * @description Stable identity of inline label JSON: a 32-bit hash (base 36) of its key paths, so forms without
+     *              a formType don't share section state while label text and order changes keep it
+     */
+    getLabelKeyHash() {
+        const paths = [];
+        const collect = (node, prefix) => {
+            if (Array.isArray(node)) {
+                node.forEach(item => collect(item, prefix));
+            } else if (this.isObject(node)) {
+                Object.keys(node).forEach(key => {
+                    paths.push(`${prefix}/${key}`);
+                    collect(node[key], `${prefix}/${key}`);
+                });
+            }
+        };
+        collect(this._labelData, '');
+        let hash = 0;
+        for (const ch of paths.sort().join('|')) {
+            hash = ((hash * 31) + ch.charCodeAt(0)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * @description Persist section state; it stays in memory when sessionStorage is unavailable
+     */
+    saveSectionState() {
+        try {
+            window.sessionStorage.setItem(this._sectionStateKey, JSON.stringify(this._sectionState));
+        } catch (e) {
+            console.warn('Failed to save section state:', e);
+        }
+    }
+
+    /**
+     * @description designMode Copy button: copy the starter label JSON to the clipboard
+     */
+    handleCopyLabelJson() {
+        const text = this.starterLabelJson || '';
+        const copy = navigator.clipboard && navigator.clipboard.writeText
+            ? navigator.clipboard.writeText(text)
+            : Promise.reject(new Error('Clipboard API not available'));
+        copy
+            .then(() => {
+                this._copyStatus = 'copied';
+            })
+            .catch(error => {
+                // Select the JSON so the admin can copy it with Ctrl+C / Cmd+C
+                console.warn('Copy to clipboard failed:', error);
+                this._copyStatus = 'failed';
+                const pre = this.template.querySelector('.starter-json');
+                const selection = window.getSelection();
+                if (pre && selection) {
+                    const range = document.createRange();
+                    range.selectNodeContents(pre);
+                    selection.removeAllRanges();
+                    selection.addRange(range);
+                }
+            });
+    }
+
+    /**
+     * @description Print button: switch to the print layout and print once budget/document data has loaded.
+     *              Clicking again while children are still loading prints what is rendered.
+     */
+    handlePrint() {
+        if (this._printRequested) {
+            this.printNow();
+            return;
+        }
+        this._generatedAt = new Date();
+        this._isPrinting = true;
+        this._printRequested = true;
+    }
+
+    /**
+     * @description Budget/document child finished loading (data or error)
+     */
+    handleChildLoadComplete(event) {
+        this._loadedChildSections.add(event.currentTarget.dataset.sectionId);
+        this.printWhenReady();
+    }
+
+    /**
+     * @description Print if requested and all async section content has loaded
+     */
+    printWhenReady() {
+        if (this._printRequested && this.isPrintReady()) {
+            this.printNow();
+        }
+    }
+
+    /**
+     * @description True when no budget/document child or related list is still loading
+     */
+    isPrintReady() {
+        if (this.isLoading) return false;
+        return this.processedSections.every(section => {
+            if (section.showBudgetChild || section.showDocumentChild) {
+                return this._loadedChildSections.has(section.id);
+            }
+            return !section.isRelatedListLoading;
+        });
+    }
+
+    /**
+     * @description Open the browser print dialog; the print layout ends on afterprint
+     */
+    printNow() {
+        this._printRequested = false;
+        window.print();
+    }
+
+    /**
+     * @description Missing-field link in the summary banner: expand its section and scroll to the field
+     */
+    handleMissingFieldClick(event) {
+        event.preventDefault();
+        const { anchorId, sectionId } = event.currentTarget.dataset;
+        const section = this.processedSections.find(s => s.id === sectionId);
+        if (section && !section.isExpanded) {
+            this.toggleSection(sectionId);
+            this._pendingScrollAnchor = anchorId;
+            return;
+        }
+        this.scrollToAnchor(anchorId);
+    }
+
+    /**
+     * @description Section navigation link: scroll to the section header and focus it
+     */
+    handleNavigationClick(event) {
+        event.preventDefault();
+        const sectionId = event.currentTarget.dataset.sectionId;
+        const header = this.template.querySelector(`.section-header[data-section-id="${sectionId}"]`);
+        if (header) {
+            header.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            header.querySelector('.section-toggle').focus({ preventScroll: true });
+            this._activeSectionId = sectionId;
+        }
+    }
+
+    /**
+     * @description Track which rendered sections are in view (upper half of the viewport) to highlight
+     *              the current one in the navigation. Re-observes when the rendered sections change.
+     *              The viewport is the root, so this works the same inside an OmniScript step.
+     */
+    observeSections() {
+        if (!this.hasNavigation || typeof IntersectionObserver === 'undefined') {
+            this.stopObservingSections();
+            return;
+        }
+        const elements = Array.from(this.template.querySelectorAll('.section[data-section-id]'));
+        const key = elements.map(el => el.dataset.sectionId).join('|');
+        if (key === this._observedSectionKey) return;
+
+        this.stopObservingSections();
+        this._observedSectionKey = key;
+        this._sectionObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this._sectionsInView.add(entry.target.dataset.sectionId);
+                } else {
+                    this._sectionsInView.delete(entry.target.dataset.sectionId);
+                }
+            });
+            const first = this.renderedSections.find(section => this._sectionsInView.has(section.id));
+            if (first) {
+                this._activeSectionId = first.id;
+            }
+        }, { rootMargin: '0px 0px -50% 0px' });
+        elements.forEach(el => this._sectionObserver.observe(el));
+    }
+
+    /**
+     * @description Disconnect the section IntersectionObserver
+     */
+    stopObservingSections() {
+        if (this._sectionObserver) {
+            this._sectionObserver.disconnect();
+            this._sectionObserver = null;
+        }
+        this._observedSectionKey = '';
+        this._sectionsInView.clear();
+    }
+
+    /**
+     * @description All fields of a processed section: section fields, block and nested block fields, array cells
+     * @param {boolean} includeRemovedRows - include compare mode's removed array rows
+     */
+    getSectionFields(section, includeRemovedRows) {
+        const fields = [...(section.fields || [])];
+        for (const block of section.blocks || []) {
+            if (block.isArray) {
+                (block.items || [])
+                    .filter(item => includeRemovedRows || item.changeType !== 'removed')
+                    .forEach(item => fields.push(...item.fields));
+                continue;
+            }
+            fields.push(...(block.fields || []));
+            (block.nestedBlocks || []).forEach(nested => fields.push(...(nested.fields || [])));
+        }
+        return fields;
+    }
+
+    /**
+     * @description Fields answered vs labeled (rendered) in a form section, including block, nested block
+     *              and array cells; null for Budget / Document / related list sections. Compare mode's removed
+     *              fields and rows are not counted.
+     */
+    getSectionCompleteness(section) {
+        if (section.showBudgetChild || section.showDocumentChild || section.relatedListConfig) return null;
+        const counted = this.getSectionFields(section, false).filter(field => field.changeType !== 'removed');
+        if (counted.length === 0) return null;
+        const answered = counted.filter(field => !this.isBlankDisplay(field)).length;
+        return { answered, total: counted.length };
+    }
+
+    /**
+     * @description Scroll a rendered field (data-anchor-id) into view and focus it. Matched on the attribute value
+     * rather than in the selector, as anchorIds are JSON and contain quotes.
+     */
+    scrollToAnchor(anchorId) {
+        const target = Array.from(this.template.querySelectorAll('[data-anchor-id]'))
+            .find(element => element.dataset.anchorId === anchorId);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            target.focus();
+        }
+    }
+
+    /**
+     * @description Check every required field has a value. Shows the missing-items banner (scrolls it into view) when not.
+     * @returns {boolean} true when complete
+     */
+    @api
+    validate() {
+        const complete = this.isComplete;
+        if (!complete) {
+            const banner = this.template.querySelector('.missing-summary');
+            if (banner) {
+                banner.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                banner.focus();
+            }
+        }
+        return complete;
+    }
+
+    /**
+     * @description OmniScript calls checkValidity on custom LWCs before Next/Submit; incomplete reviews block navigation
+     */
+    @api
+    checkValidity() {
+        return this.validate();
+    }
+
+    /**
+     * @description True when no required field is missing
+     */
+    @api
+    get isComplete() {
+        return this.missingFields.length === 0;
+    }
+
+    /**
+     * @description Whether the missing-items banner is shown
+     */
+    get hasMissingFields() {
+        return this.showContent && this.missingFields.length > 0;
+    }
+
+    /**
+     * @description Whether the designMode starter label JSON panel is shown
+     */
+    get hasStarterLabelJson() {
+        return !!this.starterLabelJson && !this.isPrintLayout;
+    }
+
+    /**
+     * @description Copy button label: "Copied" after a successful copy
+     */
+    get copyButtonLabel() {
+        return this._copyStatus === 'copied' ? LABELS.copied : LABELS.copy;
+    }
+
+    /**
+     * @description Shown when the clipboard is unavailable (the JSON is selected instead)
+     */
+    get copyFailed() {
+        return this._copyStatus === 'failed';
+    }
+
+    /**
+     * @description Whether the debugMode label JSON diagnostics panel is shown
+     */
+    get hasLabelDiagnostics() {
+        return !!this.labelDiagnostics && !this.isPrintLayout;
+    }
+
+    /**
+     * @description Diagnostics panel heading, e.g. "2 errors, 5 warnings" (or "No problems found")
+     */
+    get labelDiagnosticsSummary() {
+        const { errors, warnings } = this.labelDiagnostics;
+        return errors.length + warnings.length === 0
+            ? LABELS.noDiagnostics
+            : this.formatLabel(LABELS.diagnosticsSummary, errors.length, warnings.length);
+    }
+
+    /**
+     * @description Errors then warnings for the diagnostics panel, with icon and row class
+     */
+    get labelDiagnosticItems() {
+        const { errors, warnings } = this.labelDiagnostics;
+        return [...errors, ...warnings].map((item, index) => ({
+            ...item,
+            id: `diagnostic_${index}`,
+            iconName: item.severity === 'error' ? 'utility:error' : 'utility:warning',
+            itemClass: `diagnostics-item diagnostics-${item.severity}`
+        }));
+    }
+
+    /**
+     * @description Banner heading, e.g. "3 required fields are incomplete"
+     */
+    get missingSummaryTitle() {
+        const count = this.missingFields.length;
+        return count === 1 ? LABELS.missingOne : this.formatLabel(LABELS.missingMany, count);
+    }
+
+    /**
+     * @description Missing fields grouped by section for the banner
+     */
+    get missingSummary() {
+        const groups = [];
+        for (const item of this.missingFields) {
+            let group = groups.find(g => g.sectionId === item.sectionId);
+            if (!group) {
+                group = { sectionId: item.sectionId, title: item.sectionTitle, fields: [] };
+                groups.push(group);
+            }
+            group.fields.push(item);
+        }
+        return groups;
     }
 
     /**
@@ -945,6 +3891,218 @@ export default class IntakeFormReviewSummary extends LightningElement {
         return !this.isLoading && !this.hasError;
     }
 
+    /**
+     * @description Print layout is on (printMode property or Print button in progress)
+     */
+    get isPrintLayout() {
+        return this.printMode || this._isPrinting;
+    }
+
+    /**
+     * @description Processed sections, narrowed to changed items when compare mode shows changed only
+     */
+    get visibleSections() {
+        return this.isCompareMode && this._showChangedOnly
+            ? this.filterChangedSections(this.processedSections)
+            : this.processedSections;
+    }
+
+    /**
+     * @description Sections for the template; compare mode may keep only changed items, search keeps
+     *              matching fields, array tables are sorted and paged, and the print layout expands all
+     *              and drops Edit actions
+     */
+    get renderedSections() {
+        const sections = this.visibleSections;
+        if (!this.isPrintLayout) {
+            return this.applyTableState(this.isSearching ? this.searchSections(sections, this._searchTerm).sections : sections);
+        }
+        return this.applyTableState(sections).map(section => ({
+            ...section,
+            isExpanded: true,
+            chevronIcon: this.getChevronIcon(true),
+            showEditAction: false
+        }));
+    }
+
+    /**
+     * @description Snapshot to render: the version picker selection, else the snapshotId property
+     */
+    get activeSnapshotId() {
+        const selected = this._selectedVersion !== undefined ? this._selectedVersion : this.snapshotId;
+        return selected && selected !== CURRENT_VERSION ? selected : null;
+    }
+
+    /**
+     * @description A stored snapshot is rendered instead of the live form data
+     */
+    get isSnapshotMode() {
+        return !!this.activeSnapshotId;
+    }
+
+    /**
+     * @description Banner text for the open snapshot, e.g. "Snapshot RS-00012, saved Mar 4, 2025, 2:15 PM by Jane Doe"
+     */
+    get snapshotInfo() {
+        if (!this._snapshot || !this.isSnapshotMode) return '';
+        return this.formatLabel(LABELS.snapshotInfo, this._snapshot.name,
+            this.formatTimestamp(this._snapshot.createdDate), this._snapshot.createdByName || '');
+    }
+
+    /**
+     * @description Version picker is shown once the proposal has snapshots
+     */
+    get hasVersionPicker() {
+        return this.showVersionPicker && this.snapshotVersions.length > 0 && !this.isPrintLayout;
+    }
+
+    /**
+     * @description Version picker options: Current (when live data is available), then snapshots newest first
+     */
+    get versionOptions() {
+        const options = this.snapshotVersions.map(snapshot => ({
+            label: this.formatLabel(LABELS.snapshotOption, snapshot.name,
+                this.formatTimestamp(snapshot.createdDate), snapshot.createdByName || ''),
+            value: snapshot.id
+        }));
+        if (this.formData || this.omniJsonData) {
+            options.unshift({ label: LABELS.currentVersion, value: CURRENT_VERSION });
+        }
+        return options;
+    }
+
+    /**
+     * @description Version picker value
+     */
+    get selectedVersion() {
+        return this.activeSnapshotId || CURRENT_VERSION;
+    }
+
+    /**
+     * @description Date and time in the user's locale (snapshot timestamps)
+     */
+    formatTimestamp(value) {
+        const date = value ? new Date(value) : null;
+        if (!date || isNaN(date.getTime())) return '';
+        return new Intl.DateTimeFormat(this.getLocale(), { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+    }
+
+    /**
+     * @description Compare mode is on when previous form data was supplied
+     */
+    get isCompareMode() {
+        return !!this._previousFormData && this.showContent;
+    }
+
+    /**
+     * @description Compare bar text, e.g. "3 changes since the previous version"
+     */
+    get compareSummary() {
+        if (this.changeCount === 0) return LABELS.noChanges;
+        return this.changeCount === 1 ? LABELS.changeOne : this.formatLabel(LABELS.changeMany, this.changeCount);
+    }
+
+    /**
+     * @description Section chevrons are hidden in the print layout (sections cannot be collapsed)
+     */
+    get showChevrons() {
+        return !this.isPrintLayout;
+    }
+
+    /**
+     * @description Section navigation is shown (not in the print layout)
+     */
+    get hasNavigation() {
+        return this.showNavigation && !this.isPrintLayout && this.hasSections;
+    }
+
+    /**
+     * @description Wrapper classes for navigation + sections (sidebar or top bar)
+     */
+    get reviewBodyClass() {
+        if (!this.hasNavigation) return 'review-body';
+        return this.navigationPosition === 'top' ? 'review-body nav-top' : 'review-body nav-side';
+    }
+
+    /**
+     * @description Navigation links for the rendered sections, with completeness badges and the section in view
+     */
+    get navigationItems() {
+        return this.renderedSections.map(section => {
+            const source = this.processedSections.find(s => s.id === section.id) || section;
+            const completeness = this.getSectionCompleteness(source);
+            const isActive = section.id === this._activeSectionId;
+            const item = {
+                id: section.id,
+                title: section.title,
+                linkClass: isActive ? 'nav-link nav-link-active' : 'nav-link',
+                ariaCurrent: isActive ? 'location' : null,
+                hasBadge: !!completeness
+            };
+            if (completeness) {
+                const isComplete = completeness.answered === completeness.total;
+                item.badgeText = `${completeness.answered}/${completeness.total}`;
+                item.badgeTitle = this.formatLabel(LABELS.fieldsAnswered, completeness.answered, completeness.total);
+                item.badgeClass = isComplete ? 'nav-badge nav-badge-complete' : 'nav-badge';
+            }
+            return item;
+        });
+    }
+
+    /**
+     * @description Expand All / Collapse All controls (collapsibleSections, not in the print layout or while searching)
+     */
+    get showSectionControls() {
+        return this.collapsibleSections && !this.isPrintLayout && !this.isSearching && this.hasSections;
+    }
+
+    /**
+     * @description Root CSS classes (print-layout while printing)
+     */
+    get containerClass() {
+        return this.isPrintLayout ? 'review-container print-layout' : 'review-container';
+    }
+
+    /**
+     * @description Screen header is shown for a title, the Print button or the search box
+     */
+    get showHeader() {
+        return this.hasTitle || this.showPrintButton || this.showSearch;
+    }
+
+    /**
+     * @description Search box value
+     */
+    get searchTerm() {
+        return this._searchTerm;
+    }
+
+    /**
+     * @description Search is active on screen (the print layout always shows every field)
+     */
+    get isSearching() {
+        return this.showSearch && this._searchTerm !== '' && !this.isPrintLayout;
+    }
+
+    /**
+     * @description Search result count, or the no-match message
+     */
+    get searchSummary() {
+        const hitCount = this.searchSections(this.visibleSections, this._searchTerm).hitCount;
+        if (hitCount === 0) return this.formatLabel(LABELS.noMatches, this._searchTerm);
+        return hitCount === 1 ? LABELS.matchOne : this.formatLabel(LABELS.matchMany, hitCount);
+    }
+
+    /**
+     * @description Print header timestamp, e.g. "Generated March 4, 2025, 2:15 PM" (user locale)
+     */
+    get generatedOnText() {
+        const generatedAt = this._generatedAt || new Date();
+        const formatted = new Intl.DateTimeFormat(this.getLocale(), { dateStyle: 'long', timeStyle: 'short' })
+            .format(generatedAt);
+        return this.formatLabel(LABELS.generatedOn, formatted);
+    }
+
     /**
      * @description Check if there are any sections to display
      */
@@ -0,0 +1,333 @@
+import { validateLabelJson, FIELD_TYPES } from 'c/labelJsonValidator';
+
+const messagesAt = (diagnostics, path) => diagnostics.filter(d => d.path === path).map(d => d.message);
+
+describe('c-label-json-validator', () => {
+    describe('input', () => {
+        it('accepts a valid label JSON and its form data', () => {
+            const result = validateLabelJson(
+                {
+                    _defaultLanguage: 'en_US',
+                    Applicant: {
+                        _sectionTitle: { en_US: 'Applicant', es: 'Solicitante' },
+                        Name: 'Full Name',
+                        Budget: { label: 'Budget', type: 'currency', currency: 'USD', colspan: 4 }
+                    }
+                },
+                { Applicant: { Name: 'Jo', Budget: 1000 } }
+            );
+
+            expect(result).toEqual({ isValid: true, errors: [], warnings: [] });
+        });
+
+        it('parses JSON strings and reports invalid JSON', () => {
+            expect(validateLabelJson('{"Step": {"_sectionTitle": "Step", "Name": "Name"}}', '{"Step": {"Name": "Jo"}}').isValid).toBe(true);
+
+            const result = validateLabelJson('{not json');
+            expect(result.isValid).toBe(false);
+            expect(result.errors[0].message).toMatch(/^Label JSON is not valid JSON/);
+        });
+
+        it('requires objects at the top level', () => {
+            expect(validateLabelJson([]).errors[0].message).toBe('Label JSON must be an object keyed by section.');
+            expect(validateLabelJson({}, []).errors[0].message).toBe('Form data must be an object keyed by section (step).');
+        });
+
+        it('reads step data given as JSON text', () => {
+            const result = validateLabelJson(
+                { Step: { _sectionTitle: 'Step', Name: 'Name' } },
+                { Step: '{"Name": "Jo"}' }
+            );
+
+            expect(result.isValid).toBe(true);
+            expect(result.warnings).toEqual([]);
+        });
+    });
+
+    describe('unknown properties', () => {
+        it('suggests the closest property for a typo', () => {
+            const result = validateLabelJson({
+                _defaultLanguge: 'en_US',
+                Step: {
+                    _sectiontitle: 'Step',
+                    Name: { label: 'Name', colspn: 4 },
+                    Contact: { _blockTtle: 'Contact', Email: 'Email' }
+                }
+            });
+
+            expect(messagesAt(result.errors, '_defaultLanguge')).toEqual([
+                'Unknown property "_defaultLanguge"; did you mean "_defaultLanguage"? It is ignored.'
+            ]);
+            expect(messagesAt(result.errors, 'Step._sectiontitle')[0]).toContain('did you mean "_sectionTitle"?');
+            expect(messagesAt(result.errors, 'Step.Name.colspn')[0]).toContain('did you mean "colspan"?');
+            expect(messagesAt(result.errors, 'Step.Contact._blockTtle')[0]).toContain('did you mean "_blockTitle"?');
+        });
+
+        it('warns without a suggestion when nothing is close', () => {
+            const result = validateLabelJson({ Step: { _sectionTitle: 'Step', Name: { label: 'Name', tooltip: 'x' } } });
+
+            expect(result.isValid).toBe(true);
+            expect(messagesAt(result.warnings, 'Step.Name.tooltip')).toEqual(['Unknown property "tooltip"; it is ignored.']);
+        });
+
+        it('suggests a field type for an unknown type', () => {
+            const result = validateLabelJson({
+                Step: { _sectionTitle: 'Step', Amount: { label: 'Amount', type: 'Currency' }, Other: { label: 'Other', type: 'widget' } }
+            });
+
+            expect(messagesAt(result.errors, 'Step.Amount.type')[0]).toContain('Did you mean "currency"?');
+            expect(messagesAt(result.errors, 'Step.Other.type')[0]).toContain(`Use one of: ${FIELD_TYPES.join(', ')}.`);
+        });
+    });
+
+    describe('label and data shapes', () => {
+        it('reports a field label for block data and a block label for a single value', () => {
+            const result = validateLabelJson(
+                { Step: { _sectionTitle: 'Step', Address: 'Address', Contact: { _blockTitle: 'Contact', Email: 'Email' } } },
+                { Step: { Address: { Street: '1 Main St' }, Contact: 'jo@example.com' } }
+            );
+
+            expect(messagesAt(result.errors, 'Step.Address')[0]).toMatch(/^The data is an object \(a block\) but the label is a field label/);
+            expect(messagesAt(result.errors, 'Step.Contact')[0]).toMatch(/^The label is a block but the data is a single value/);
+        });
+
+        it('reports sections whose data is not an object', () => {
+            const result = validateLabelJson({ Step: { _sectionTitle: 'Step', Name: 'Name' }, Bad: 'Bad' }, { Step: 42 });
+
+            expect(messagesAt(result.errors, 'Step')[0]).toMatch(/^Form data for "Step" is not an object/);
+            expect(messagesAt(result.errors, 'Bad')[0]).toMatch(/^Section must be an object/);
+        });
+
+        it('warns about missing data, unlabeled keys and steps without a section', () => {
+            const result = validateLabelJson(
+                {
+                    Step: {
+                        _sectionTitle: 'Step',
+                        Name: 'Name',
+                        Phone: 'Phone',
+                        Total: { label: 'Total', compute: { sum: 'Items', field: 'Cost' } },
+                        Agree: { label: 'Agree', required: true }
+                    },
+                    Missing: { _sectionTitle: 'Missing', Note: 'Note' }
+                },
+                { Step: { Name: 'Jo', Extra: 'x' }, Other: { Value: 1 } }
+            );
+
+            expect(result.isValid).toBe(true);
+            expect(messagesAt(result.warnings, 'Step.Phone')).toEqual(['No form data for "Phone"; the field is not shown.']);
+            expect(messagesAt(result.warnings, 'Step.Total')).toEqual([]);
+            expect(messagesAt(result.warnings, 'Step.Agree')).toEqual([]);
+            expect(messagesAt(result.warnings, 'Step.Extra')).toEqual(['The data key has no label; it is not shown.']);
+            expect(messagesAt(result.warnings, 'Missing')[0]).toMatch(/^No form data for this section/);
+            expect(messagesAt(result.warnings, 'Other')).toEqual(['Form data step has no section in the label JSON; it is not shown.']);
+        });
+
+        it('follows _dataKey to the data', () => {
+            const result = validateLabelJson(
+                { Outcomes: { _sectionTitle: 'Outcomes', _dataKey: 'ProgramOutcomesStep', Goal: { label: 'Goal', _dataKey: 'GoalText' } } },
+                { ProgramOutcomesStep: { GoalText: 'Jobs' } }
+            );
+
+            expect(result).toEqual({ isValid: true, errors: [], warnings: [] });
+        });
+
+        it('checks array labels against their rows', () => {
+            const result = validateLabelJson(
+                {
+                    Step: {
+                        _sectionTitle: 'Step',
+                        Items: [{
+                            _blockTitle: 'Items',
+                            _totals: ['Cost', 'Tax'],
+                            _pageSize: 0,
+                            _layout: 'grid',
+                            _fieldOrder: ['Cost'],
+                            Cost: { label: 'Cost', type: 'currency' },
+                            Vendor: 'Vendor',
+                            Detail: { _blockTitle: 'Detail', Note: 'Note' }
+                        }],
+                        Contact: { _blockTitle: 'Contact', Phones: 'Phones' }
+                    }
+                },
+                { Step: { Items: [{ Cost: 1, Extra: 2 }], Contact: { Phones: [{ Number: '1' }] } } }
+            );
+
+            expect(messagesAt(result.warnings, 'Step.Items._totals')).toEqual(['"Tax" in _totals has no label; it is not totalled.']);
+            expect(messagesAt(result.errors, 'Step.Items._pageSize')).toHaveLength(1);
+            expect(messagesAt(result.errors, 'Step.Items._layout')[0]).toBe('Unknown _layout "grid"; use "table" or "cards".');
+            expect(messagesAt(result.warnings, 'Step.Items._fieldOrder')).toHaveLength(1);
+            expect(messagesAt(result.warnings, 'Step.Items.Vendor')).toEqual(['No row has "Vendor"; the column is not shown.']);
+            expect(messagesAt(result.errors, 'Step.Items.Detail')[0]).toMatch(/^Array cells must use field labels/);
+            expect(messagesAt(result.warnings, 'Step.Items.Extra')).toEqual(['The data key has no label; it is not shown.']);
+            expect(messagesAt(result.warnings, 'Step.Contact.Phones')[0]).toMatch(/^Arrays inside blocks are not shown/);
+        });
+
+        it('reports an array whose label is a field label', () => {
+            const result = validateLabelJson({ Step: { _sectionTitle: 'Step', Items: 'Items' } }, { Step: { Items: [{ A: 1 }] } });
+
+            expect(messagesAt(result.errors, 'Step.Items')[0]).toMatch(/^The data is an array but the label is not an object/);
+        });
+
+        it('reports out-of-range field options', () => {
+            const result = validateLabelJson({
+                Step: {
+                    _sectionTitle: 'Step',
+                    _collapsed: 'yes',
+                    A: { label: 'A', colspan: 'wide' },
+                    B: { label: 'B', colspan: 14 },
+                    C: { label: 'C', currency: 'dollars', dateFormat: 'fancy', lines: 0 },
+                    D: { label: '' },
+                    E: { label: { en_US: 1 } },
+                    F: { type: 'text' }
+                }
+            });
+
+            expect(messagesAt(result.errors, 'Step._collapsed')).toEqual(['_collapsed must be true or false, not "yes".']);
+            expect(messagesAt(result.errors, 'Step.A.colspan')[0]).toMatch(/^colspan must be a number/);
+            expect(messagesAt(result.warnings, 'Step.B.colspan')).toEqual(['colspan 14 is outside 1–12; 12 is used.']);
+            expect(messagesAt(result.errors, 'Step.C.currency')).toHaveLength(1);
+            expect(messagesAt(result.errors, 'Step.C.dateFormat')[0]).toMatch(/^Unknown dateFormat "fancy"/);
+            expect(messagesAt(result.errors, 'Step.C.lines')).toHaveLength(1);
+            expect(messagesAt(result.warnings, 'Step.D.label')).toEqual(['The text is empty.']);
+            expect(messagesAt(result.errors, 'Step.E.label')[0]).toMatch(/^Must be text or a language map/);
+            expect(messagesAt(result.errors, 'Step.F')).toEqual(['The field object has no "label"; the field is not shown.']);
+        });
+    });
+
+    describe('sensitive and mask', () => {
+        it('accepts booleans and mask options', () => {
+            const result = validateLabelJson({
+                Step: {
+                    _sectionTitle: 'Step',
+                    Ssn: { label: 'SSN', sensitive: true },
+                    Account: { label: 'Account', mask: { visible: 2, maskCharacter: '*' } }
+                }
+            });
+
+            expect(result).toEqual({ isValid: true, errors: [], warnings: [] });
+        });
+
+        it('reports invalid options under the property used', () => {
+            const result = validateLabelJson({
+                Step: {
+                    _sectionTitle: 'Step',
+                    A: { label: 'A', mask: 'yes' },
+                    B: { label: 'B', sensitive: { visible: -1, maskCharacter: '', visibel: 2 } }
+                }
+            });
+
+            expect(messagesAt(result.errors, 'Step.A.mask')[0]).toMatch(/^"mask" must be true, false or/);
+            expect(messagesAt(result.errors, 'Step.B.sensitive.visible')).toHaveLength(1);
+            expect(messagesAt(result.errors, 'Step.B.sensitive.maskCharacter')).toHaveLength(1);
+            expect(messagesAt(result.errors, 'Step.B.sensitive.visibel')[0]).toContain('did you mean "visible"?');
+        });
+
+        it('warns when both sensitive and mask are set', () => {
+            const result = validateLabelJson({ Step: { _sectionTitle: 'Step', A: { label: 'A', sensitive: false, mask: true } } });
+
+            expect(result.isValid).toBe(true);
+            expect(messagesAt(result.warnings, 'Step.A.mask')).toEqual(['"mask" is an alias of "sensitive"; set only one. "sensitive" is used.']);
+        });
+
+        it('treats an object with only mask as a field label', () => {
+            const result = validateLabelJson({ Step: { _sectionTitle: 'Step', A: { mask: true } } }, { Step: { A: '1234' } });
+
+            expect(messagesAt(result.errors, 'Step.A')).toEqual(['The field object has no "label"; the field is not shown.']);
+        });
+    });
+
+    describe('visibleWhen', () => {
+        const validate = visibleWhen => validateLabelJson({ Step: { _sectionTitle: 'Step', A: { label: 'A', visibleWhen } } });
+
+        it('accepts equals, in, notEmpty, and, or and lists', () => {
+            expect(validate({ field: 'HasPartner', equals: 'Yes' }).isValid).toBe(true);
+            expect(validate({ field: 'Type', in: ['A', 'B'] }).isValid).toBe(true);
+            expect(validate([{ field: 'Name', notEmpty: true }, { or: [{ field: 'A', equals: 1 }, { and: [{ field: 'B.C', equals: 2 }] }] }]).isValid)
+                .toBe(true);
+        });
+
+        it('reports conditions without a field or operator', () => {
+            expect(messagesAt(validate({ equals: 'Yes' }).errors, 'Step.A.visibleWhen')[0]).toMatch(/^visibleWhen needs "field"/);
+            expect(messagesAt(validate({ field: 'A' }).errors, 'Step.A.visibleWhen')[0]).toMatch(/^visibleWhen has no supported operator/);
+            expect(messagesAt(validate('A == 1').errors, 'Step.A.visibleWhen')[0]).toMatch(/^visibleWhen must be an object or array/);
+        });
+
+        it('reports malformed operators with their path', () => {
+            const result = validate({ or: { field: 'A', equals: 1 }, and: [{ field: 'B', in: 'x' }], field: 'C', equal: 1 });
+
+            expect(messagesAt(result.errors, 'Step.A.visibleWhen.or')).toEqual(['"or" must be a list of conditions.']);
+            expect(messagesAt(result.errors, 'Step.A.visibleWhen.and[0].in')).toEqual(['"in" must be a list of values.']);
+            expect(messagesAt(result.errors, 'Step.A.visibleWhen.equal')[0]).toContain('did you mean "equals"?');
+        });
+
+        it('checks section conditions without treating visibleWhen as a field', () => {
+            const result = validateLabelJson(
+                { Step: { _sectionTitle: 'Step', visibleWhen: { field: 'Show' }, Name: 'Name' } },
+                { Step: { Name: 'Jo' } }
+            );
+
+            expect(messagesAt(result.errors, 'Step.visibleWhen')).toHaveLength(1);
+            expect(messagesAt(result.warnings, 'Step.visibleWhen')).toEqual([]);
+        });
+    });
+
+    describe('compute', () => {
+        const validate = compute => validateLabelJson({ Step: { _sectionTitle: 'Step', A: { label: 'A', compute } } });
+
+        it('accepts aggregates, arithmetic, concat and age', () => {
+            expect(validate({ sum: 'Items', field: 'Cost', round: 2 }).isValid).toBe(true);
+            expect(validate({ count: 'Items' }).isValid).toBe(true);
+            expect(validate({ subtract: [{ value: 1000 }, { multiply: ['Rate', 12] }] }).isValid).toBe(true);
+            expect(validate({ concat: ['First', 'Last'], separator: ' ' }).isValid).toBe(true);
+            expect(validate({ age: 'BirthDate' }).isValid).toBe(true);
+        });
+
+        it('requires exactly one operator', () => {
+            expect(messagesAt(validate({ sum: 'Items', avg: 'Items' }).errors, 'Step.A.compute')[0]).toMatch(/^compute needs exactly one operator/);
+            expect(messagesAt(validate({ total: 'Items' }).errors, 'Step.A.compute')[0]).toMatch(/^compute needs exactly one operator/);
+            expect(messagesAt(validate('Items').errors, 'Step.A.compute')).toEqual(['compute must be an object; the field is not shown.']);
+        });
+
+        it('reports invalid operands, aggregates and round', () => {
+            expect(messagesAt(validate({ sum: 3 }).errors, 'Step.A.compute.sum')[0]).toMatch(/^"sum" must name an array/);
+            expect(messagesAt(validate({ add: ['A', true] }).errors, 'Step.A.compute.add[1]')[0]).toMatch(/^A compute operand must be/);
+            expect(messagesAt(validate({ add: [{ sum: 'A', max: 'B' }, 1] }).errors, 'Step.A.compute.add[0]')).toHaveLength(1);
+            expect(messagesAt(validate({ sum: 'Items', round: 'two' }).errors, 'Step.A.compute.round')).toHaveLength(1);
+            expect(messagesAt(validate({ add: 'A' }).warnings, 'Step.A.compute.add')).toEqual(['"add" usually takes a list of operands.']);
+        });
+    });
+
+    describe('options', () => {
+        it('ignores skipKeys in the labels and the data', () => {
+            const labels = { Step: { _sectionTitle: 'Step', Name: 'Name' }, budget: { _sectionTitle: 'Budget', Bad: { label: 'x', colspan: 'wide' } } };
+            const data = { Step: { Name: 'Jo' }, Documents: { List: [] } };
+
+            const withoutSkip = validateLabelJson(labels, data);
+            expect(withoutSkip.isValid).toBe(false);
+            expect(messagesAt(withoutSkip.warnings, 'Documents')).toHaveLength(1);
+
+            expect(validateLabelJson(labels, data, { skipKeys: ['budget', 'Documents'] })).toEqual({ isValid: true, errors: [], warnings: [] });
+        });
+
+        it('accepts registered field types from fieldTypes', () => {
+            const labels = { Step: { _sectionTitle: 'Step', Tax: { label: 'Tax Id', type: 'ein' } } };
+
+            expect(validateLabelJson(labels).isValid).toBe(false);
+            expect(validateLabelJson(labels, undefined, { fieldTypes: ['ein', 'zip'] }).isValid).toBe(true);
+        });
+
+        it('ignores options of the wrong type', () => {
+            const labels = { Step: { _sectionTitle: 'Step', Tax: { label: 'Tax Id', type: 'ein' } } };
+
+            expect(validateLabelJson(labels, undefined, { skipKeys: 'Step', fieldTypes: 'ein' }).isValid).toBe(false);
+        });
+
+        it('validates the top-level properties', () => {
+            const result = validateLabelJson({ _defaultLanguage: ' ', _syntheticSections: [], _keyTypeDetection: 'no' });
+
+            expect(messagesAt(result.errors, '_defaultLanguage')).toHaveLength(1);
+            expect(messagesAt(result.errors, '_syntheticSections')).toHaveLength(1);
+            expect(messagesAt(result.errors, '_keyTypeDetection')).toEqual(['_keyTypeDetection must be true or false, not "no".']);
+        });
+    });
+});
@@ -0,0 +1,574 @@
+/**
+ * @description Label JSON validator for the Intake Form Review Summary.
+ *              Checks a label JSON against the grammar in label-json-generation-prompt.md / README-FULL.md and,
+ *              when form data is given, cross-checks both: unlabeled data keys, labels with no data, label shapes
+ *              that do not match the data, unknown types and properties, and out-of-range values.
+ *              Used by intakeFormReviewSummary (debugMode); can be imported by other components or scripts.
+ */
+
+// Built-in field types (formats) understood by processField / formatValue; registered types (Review_Field_Type__mdt) add to these
+export const FIELD_TYPES = [
+    'text', 'phone', 'email', 'url', 'lookup', 'currency', 'percent', 'date', 'datetime', 'time', 'duration', 'boolean',
+    'number', 'multiselect', 'richtext', 'longtext', 'masked', 'pattern'
+];
+
+const TOP_LEVEL_PROPERTIES = ['_defaultLanguage', '_syntheticSections', '_keyTypeDetection'];
+const SECTION_PROPERTIES = ['_sectionTitle', '_order', '_dataKey', '_collapsed', '_editable'];
+const BLOCK_PROPERTIES = ['_blockTitle', '_order', '_dataKey', '_fieldOrder', '_addressColspan'];
+const ARRAY_PROPERTIES = ['_blockTitle', '_order', '_dataKey', '_totals', '_sortable', '_pageSize', '_layout', '_fieldOrder'];
+const FIELD_PROPERTIES = [
+    'label', 'type', 'colspan', 'required', 'lines', 'currency', 'locale', 'dateFormat', 'timeZone', 'visibleWhen', 'compute',
+    'sensitive', 'mask', '_dataKey', '_order'
+];
+// Properties only a field label has (an object with any of them is a field, even with a mistyped "label")
+const FIELD_ONLY_PROPERTIES = [
+    'label', 'type', 'colspan', 'required', 'lines', 'currency', 'locale', 'dateFormat', 'timeZone', 'compute', 'sensitive', 'mask'
+];
+const SENSITIVE_PROPERTIES = ['visible', 'maskCharacter'];
+const DATE_FORMATS = ['short', 'medium', 'long', 'full', 'iso'];
+const ARRAY_LAYOUTS = ['table', 'cards'];
+const CONDITION_OPERATORS = ['equals', 'in', 'notEmpty', 'and', 'or'];
+const COMPUTE_OPERATORS = ['sum', 'avg', 'min', 'max', 'count', 'add', 'subtract', 'multiply', 'divide', 'concat', 'age'];
+
+/**
+ * @description Validate a label JSON, optionally against the form data it describes
+ * @param {object|string} labelData - Label JSON (object or JSON string)
+ * @param {object|string} [formData] - Form data (object or JSON string); omit to check the label grammar only
+ * @param {object} [options] - { skipKeys: top-level keys to ignore (skipped fields, synthetic section ids),
+ *        fieldTypes: registered field type names accepted as "type" besides FIELD_TYPES }
+ * @returns {{ isValid: boolean, errors: object[], warnings: object[] }} Diagnostics as { severity, path, message };
+ *          errors hide or misformat something, warnings are likely mistakes
+ */
+export function validateLabelJson(labelData, formData, options = {}) {
+    const context = {
+        errors: [],
+        warnings: [],
+        skipKeys: Array.isArray(options.skipKeys) ? options.skipKeys : [],
+        fieldTypes: [...FIELD_TYPES, ...(Array.isArray(options.fieldTypes) ? options.fieldTypes : [])]
+    };
+    const labels = parseJson(labelData, '', 'Label JSON', context);
+    const data = formData === undefined || formData === null ? undefined : parseJson(formData, '', 'Form data', context);
+
+    if (!isObject(labels)) {
+        if (labels !== undefined) addError(context, '', 'Label JSON must be an object keyed by section.');
+    } else if (data !== undefined && !isObject(data)) {
+        addError(context, '', 'Form data must be an object keyed by section (step).');
+        validateSections(labels, undefined, context);
+    } else {
+        validateSections(labels, data, context);
+    }
+
+    return {
+        isValid: context.errors.length === 0,
+        errors: context.errors,
+        warnings: context.warnings
+    };
+}
+
+/**
+ * @description Top level: sections, _defaultLanguage / _syntheticSections, and form data steps without a section
+ */
+function validateSections(labels, data, context) {
+    const labeledDataKeys = new Set();
+    for (const key of Object.keys(labels)) {
+        if (context.skipKeys.includes(key)) continue;
+        if (key.startsWith('_')) {
+            validateTopLevelProperty(key, labels[key], context);
+            continue;
+        }
+
+        const section = labels[key];
+        if (!isObject(section)) {
+            addError(context, key, 'Section must be an object with _sectionTitle and field labels; it is not shown.');
+            continue;
+        }
+        const dataKey = resolveDataKey(key, section);
+        labeledDataKeys.add(dataKey);
+        validateSection(key, section, data, dataKey, context);
+    }
+
+    if (data === undefined) return;
+    for (const key of Object.keys(data)) {
+        if (key.startsWith('_') || context.skipKeys.includes(key) || labeledDataKeys.has(key)) continue;
+        if (isObject(parseJsonValue(data[key]))) {
+            addWarning(context, key, 'Form data step has no section in the label JSON; it is not shown.');
+        }
+    }
+}
+
+function validateTopLevelProperty(key, value, context) {
+    if (!TOP_LEVEL_PROPERTIES.includes(key)) {
+        addUnknownProperty(context, key, key, TOP_LEVEL_PROPERTIES);
+    } else if (key === '_defaultLanguage' && (typeof value !== 'string' || !value.trim())) {
+        addError(context, key, '_defaultLanguage must be a language code such as "en_US".');
+    } else if (key === '_syntheticSections' && !isObject(value)) {
+        addError(context, key, '_syntheticSections must be an object keyed by section id; it is ignored.');
+    } else if (key === '_keyTypeDetection' && typeof value !== 'boolean') {
+        addError(context, key, `_keyTypeDetection must be true or false, not ${JSON.stringify(value)}.`);
+    }
+}
+
+function validateSection(path, section, data, dataKey, context) {
+    validateMetaProperties(path, section, SECTION_PROPERTIES, context);
+    if (section._sectionTitle === undefined) {
+        addWarning(context, path, 'No _sectionTitle; the title is generated from the key.');
+    } else {
+        validateLabelText(`${path}._sectionTitle`, section._sectionTitle, context);
+    }
+    validateBooleanProperty(path, section, '_collapsed', context);
+    validateBooleanProperty(path, section, '_editable', context);
+    if (section.visibleWhen !== undefined) {
+        validateCondition(`${path}.visibleWhen`, section.visibleWhen, context);
+    }
+
+    let sectionData;
+    if (data !== undefined) {
+        sectionData = parseJsonValue(data[dataKey]);
+        if (sectionData === undefined || sectionData === null) {
+            addWarning(context, path, `No form data for this section (data key "${dataKey}"); only its header is shown.`);
+        } else if (!isObject(sectionData)) {
+            addError(context, path, `Form data for "${dataKey}" is not an object (or JSON text of one); the section is not shown.`);
+            sectionData = undefined;
+        }
+    }
+    validateContent(path, section, sectionData, true, context);
+}
+
+/**
+ * @description Fields, blocks and arrays of a section or block, cross-checked against its data (undefined = not checked)
+ */
+function validateContent(path, labels, data, allowArrays, context) {
+    const labeledDataKeys = new Set();
+    for (const key of Object.keys(labels)) {
+        // visibleWhen on a section or block is its condition, not a field
+        if (key.startsWith('_') || key === 'visibleWhen') continue;
+
+        const labelInfo = labels[key];
+        const childPath = `${path}.${key}`;
+        const dataKey = resolveDataKey(key, labelInfo);
+        labeledDataKeys.add(dataKey);
+        const value = isObject(data) ? data[dataKey] : undefined;
+
+        if (Array.isArray(value)) {
+            validateArray(childPath, labelInfo, value, allowArrays, context);
+        } else if (isObject(value)) {
+            if (isBlockLabel(labelInfo)) {
+                validateBlock(childPath, labelInfo, value, BLOCK_PROPERTIES, context);
+            } else {
+                addError(context, childPath, 'The data is an object (a block) but the label is a field label; use _blockTitle and labels for its keys. It is not shown.');
+            }
+        } else if (isBlockLabel(labelInfo) && value !== undefined && value !== null) {
+            addError(context, childPath, 'The label is a block but the data is a single value; use a field label. It is not shown.');
+        } else if (isBlockLabel(labelInfo) || (Array.isArray(labelInfo) && value === undefined)) {
+            if (isObject(data)) {
+                addWarning(context, childPath, `No form data for this block (data key "${dataKey}"); it is not shown.`);
+            }
+            // Without data a block label may also be an array label
+            if (isObject(labelInfo)) {
+                validateBlock(childPath, labelInfo, undefined, [...BLOCK_PROPERTIES, ...ARRAY_PROPERTIES], context);
+            }
+        } else {
+            validateField(childPath, labelInfo, context);
+            if (isObject(data) && value === undefined && !isComputedOrRequired(labelInfo)) {
+                addWarning(context, childPath, `No form data for "${dataKey}"; the field is not shown.`);
+            }
+        }
+    }
+
+    if (isObject(data)) {
+        addUnlabeledKeys(path, data, labeledDataKeys, context);
+    }
+}
+
+function validateBlock(path, block, data, allowedProperties, context) {
+    validateMetaProperties(path, block, allowedProperties, context);
+    if (block._blockTitle === undefined) {
+        addWarning(context, path, 'No _blockTitle; the title is generated from the key.');
+    } else {
+        validateLabelText(`${path}._blockTitle`, block._blockTitle, context);
+    }
+    validateFieldOrder(path, block, context);
+    if (block._addressColspan !== undefined) {
+        validateColspan(`${path}._addressColspan`, block._addressColspan, context);
+    }
+    if (block.visibleWhen !== undefined) {
+        validateCondition(`${path}.visibleWhen`, block.visibleWhen, context);
+    }
+    validateContent(path, block, data, false, context);
+}
+
+/**
+ * @description Array (repeatable block): label object (or [object]) whose keys are the row fields
+ */
+function validateArray(path, labelInfo, rows, allowArrays, context) {
+    if (!allowArrays) {
+        addWarning(context, path, 'Arrays inside blocks are not shown; label the array at the section level.');
+        return;
+    }
+    const itemLabels = isObject(labelInfo)
+        ? labelInfo
+        : (Array.isArray(labelInfo) && isObject(labelInfo[0]) ? labelInfo[0] : null);
+    if (!itemLabels) {
+        addError(context, path, 'The data is an array but the label is not an object of row field labels; the table is not shown.');
+        return;
+    }
+
+    validateMetaProperties(path, itemLabels, ARRAY_PROPERTIES, context);
+    if (itemLabels._blockTitle !== undefined) {
+        validateLabelText(`${path}._blockTitle`, itemLabels._blockTitle, context);
+    }
+    if (itemLabels._fieldOrder !== undefined) {
+        addWarning(context, `${path}._fieldOrder`, '_fieldOrder has no effect on array tables; columns follow the label JSON order.');
+    }
+    const totals = itemLabels._totals;
+    if (totals !== undefined && typeof totals !== 'boolean'
+        && !(Array.isArray(totals) && totals.every(key => typeof key === 'string'))) {
+        addError(context, `${path}._totals`, '_totals must be true or a list of field keys; no totals row is shown.');
+    } else if (Array.isArray(totals)) {
+        totals.filter(key => itemLabels[key] === undefined)
+            .forEach(key => addWarning(context, `${path}._totals`, `"${key}" in _totals has no label; it is not totalled.`));
+    }
+    validateBooleanProperty(path, itemLabels, '_sortable', context);
+    if (itemLabels._pageSize !== undefined && !(Number.isInteger(itemLabels._pageSize) && itemLabels._pageSize >= 1)) {
+        addError(context, `${path}._pageSize`, '_pageSize must be a whole number from 1; all rows are shown.');
+    }
+    if (itemLabels._layout !== undefined && !ARRAY_LAYOUTS.includes(itemLabels._layout)) {
+        addError(context, `${path}._layout`, `Unknown _layout ${JSON.stringify(itemLabels._layout)}; use ${ARRAY_LAYOUTS.map(v => `"${v}"`).join(' or ')}.`);
+    }
+
+    const rowObjects = rows.filter(isObject);
+    const labeledDataKeys = new Set();
+    for (const key of Object.keys(itemLabels)) {
+        if (key.startsWith('_') || key === 'visibleWhen') continue;
+        const cellLabel = itemLabels[key];
+        const childPath = `${path}.${key}`;
+        const dataKey = resolveDataKey(key, cellLabel);
+        labeledDataKeys.add(dataKey);
+        if (isBlockLabel(cellLabel)) {
+            addError(context, childPath, 'Array cells must use field labels (a string or an object with "label"); the column is not shown.');
+            continue;
+        }
+        validateField(childPath, cellLabel, context);
+        if (rowObjects.length > 0 && !rowObjects.some(row => row[dataKey] !== undefined) && !isComputedOrRequired(cellLabel)) {
+            addWarning(context, childPath, `No row has "${dataKey}"; the column is not shown.`);
+        }
+    }
+
+    const rowKeys = {};
+    rowObjects.forEach(row => Object.keys(row).forEach(key => { rowKeys[key] = true; }));
+    addUnlabeledKeys(path, rowKeys, labeledDataKeys, context);
+}
+
+function validateField(path, labelInfo, context) {
+    if (typeof labelInfo === 'string') {
+        if (!labelInfo.trim()) addError(context, path, 'The label is empty; the field is not shown.');
+        return;
+    }
+    if (!isObject(labelInfo)) {
+        addError(context, path, 'A field label must be a string or an object with "label"; the field is not shown.');
+        return;
+    }
+
+    if (labelInfo.label === undefined) {
+        addError(context, path, 'The field object has no "label"; the field is not shown.');
+    } else {
+        validateLabelText(`${path}.label`, labelInfo.label, context);
+    }
+    for (const key of Object.keys(labelInfo)) {
+        if (!FIELD_PROPERTIES.includes(key)) addUnknownProperty(context, `${path}.${key}`, key, FIELD_PROPERTIES);
+    }
+
+    if (labelInfo.type !== undefined && !context.fieldTypes.includes(labelInfo.type)) {
+        const suggestion = findSuggestion(String(labelInfo.type), context.fieldTypes);
+        addError(context, `${path}.type`, `Unknown type ${JSON.stringify(labelInfo.type)}; the value is shown as plain text.`
+            + (suggestion ? ` Did you mean "${suggestion}"?` : ` Use one of: ${context.fieldTypes.join(', ')}.`));
+    }
+    if (labelInfo.colspan !== undefined) {
+        validateColspan(`${path}.colspan`, labelInfo.colspan, context);
+    }
+    validateBooleanProperty(path, labelInfo, 'required', context);
+    if (labelInfo.lines !== undefined && !(Number(labelInfo.lines) >= 1)) {
+        addError(context, `${path}.lines`, '"lines" must be a number from 1; the default is used.');
+    }
+    if (labelInfo.currency !== undefined && !(typeof labelInfo.currency === 'string' && /^[A-Za-z]{3}$/.test(labelInfo.currency.trim()))) {
+        addError(context, `${path}.currency`, '"currency" must be an ISO currency code such as "USD"; the user\'s currency is used.');
+    }
+    if (labelInfo.locale !== undefined && !(typeof labelInfo.locale === 'string' && labelInfo.locale.trim())) {
+        addError(context, `${path}.locale`, '"locale" must be a locale such as "fr_CA"; the user\'s locale is used.');
+    }
+    if (labelInfo.timeZone !== undefined && !(typeof labelInfo.timeZone === 'string' && labelInfo.timeZone.trim())) {
+        addError(context, `${path}.timeZone`, '"timeZone" must be a time zone such as "America/New_York"; the user\'s time zone is used.');
+    }
+    if (labelInfo.dateFormat !== undefined && !isObject(labelInfo.dateFormat) && !DATE_FORMATS.includes(labelInfo.dateFormat)) {
+        addError(context, `${path}.dateFormat`, `Unknown dateFormat ${JSON.stringify(labelInfo.dateFormat)}; use ${DATE_FORMATS.join(', ')} or an Intl.DateTimeFormat options object.`);
+    }
+    if (labelInfo.visibleWhen !== undefined) {
+        validateCondition(`${path}.visibleWhen`, labelInfo.visibleWhen, context);
+    }
+    if (labelInfo.compute !== undefined) {
+        validateCompute(`${path}.compute`, labelInfo.compute, context);
+    }
+    for (const property of ['sensitive', 'mask']) {
+        if (labelInfo[property] !== undefined) {
+            validateSensitive(`${path}.${property}`, property, labelInfo[property], context);
+        }
+    }
+    if (labelInfo.sensitive !== undefined && labelInfo.mask !== undefined) {
+        addWarning(context, `${path}.mask`, '"mask" is an alias of "sensitive"; set only one. "sensitive" is used.');
+    }
+}
+
+/**
+ * @description sensitive (or its alias mask): true / false or { visible, maskCharacter }; anything else leaves the
+ * value unmasked
+ */
+function validateSensitive(path, property, sensitive, context) {
+    if (typeof sensitive === 'boolean') return;
+    if (!isObject(sensitive)) {
+        addError(context, path, `"${property}" must be true, false or { "visible": n, "maskCharacter": "•" }; the value is not masked.`);
+        return;
+    }
+    for (const key of Object.keys(sensitive)) {
+        if (!SENSITIVE_PROPERTIES.includes(key)) addUnknownProperty(context, `${path}.${key}`, key, SENSITIVE_PROPERTIES);
+    }
+    if (sensitive.visible !== undefined && !(Number.isInteger(sensitive.visible) && sensitive.visible >= 0)) {
+        addError(context, `${path}.visible`, '"visible" must be a whole number from 0; 4 characters are left visible.');
+    }
+    if (sensitive.maskCharacter !== undefined && !(typeof sensitive.maskCharacter === 'string' && sensitive.maskCharacter)) {
+        addError(context, `${path}.maskCharacter`, '"maskCharacter" must be a non-empty string; • is used.');
+    }
+}
+
+/**
+ * @description visibleWhen grammar (see isVisibleByCondition); an invalid condition shows the item
+ */
+function validateCondition(path, condition, context) {
+    if (Array.isArray(condition)) {
+        condition.forEach((item, index) => validateCondition(`${path}[${index}]`, item, context));
+        return;
+    }
+    if (!isObject(condition)) {
+        addError(context, path, 'visibleWhen must be an object or array; it is ignored (the item is always shown).');
+        return;
+    }
+
+    let hasOperator = false;
+    ['and', 'or'].forEach(op => {
+        if (condition[op] === undefined) return;
+        if (Array.isArray(condition[op])) {
+            hasOperator = true;
+            condition[op].forEach((item, index) => validateCondition(`${path}.${op}[${index}]`, item, context));
+        } else {
+            addError(context, `${path}.${op}`, `"${op}" must be a list of conditions.`);
+        }
+    });
+    const hasFieldOperator = 'equals' in condition || Array.isArray(condition.in) || 'notEmpty' in condition;
+    if (hasFieldOperator) {
+        if (typeof condition.field === 'string' && condition.field.trim()) {
+            hasOperator = true;
+        } else {
+            addError(context, path, 'visibleWhen needs "field" (a data key or dot path) with equals / in / notEmpty.');
+        }
+    }
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+        addError(context, `${path}.in`, '"in" must be a list of values.');
+    }
+    for (const key of Object.keys(condition)) {
+        if (key !== 'field' && !CONDITION_OPERATORS.includes(key)) {
+            addUnknownProperty(context, `${path}.${key}`, key, ['field', ...CONDITION_OPERATORS]);
+        }
+    }
+    if (!hasOperator) {
+        addError(context, path, `visibleWhen has no supported operator (${CONDITION_OPERATORS.join(', ')}); the item is always shown.`);
+    }
+}
+
+/**
+ * @description compute grammar (see evaluateCompute); an invalid definition hides the field
+ */
+function validateCompute(path, definition, context) {
+    if (!isObject(definition)) {
+        addError(context, path, 'compute must be an object; the field is not shown.');
+        return;
+    }
+    const operators = COMPUTE_OPERATORS.filter(op => op in definition);
+    if (operators.length !== 1) {
+        addError(context, path, `compute needs exactly one operator (${COMPUTE_OPERATORS.join(', ')}); the field is not shown.`);
+        return;
+    }
+
+    const op = operators[0];
+    const operands = Array.isArray(definition[op]) ? definition[op] : [definition[op]];
+    if (['sum', 'avg', 'min', 'max', 'count'].includes(op) && typeof definition[op] !== 'string' && !isObject(definition[op])) {
+        addError(context, `${path}.${op}`, `"${op}" must name an array (data key or dot path); the field is not shown.`);
+        return;
+    }
+    if (['add', 'subtract', 'multiply', 'divide', 'concat'].includes(op) && !Array.isArray(definition[op])) {
+        addWarning(context, `${path}.${op}`, `"${op}" usually takes a list of operands.`);
+    }
+    operands.forEach((operand, index) => {
+        const operandPath = operands.length > 1 ? `${path}.${op}[${index}]` : `${path}.${op}`;
+        if (isObject(operand) && !('value' in operand)) {
+            validateCompute(operandPath, operand, context);
+        } else if (typeof operand !== 'number' && typeof operand !== 'string' && !isObject(operand)) {
+            addError(context, operandPath, 'A compute operand must be a number, a data key, { "value": … } or a nested compute; the field is not shown.');
+        }
+    });
+    if (definition.round !== undefined && typeof definition.round !== 'number') {
+        addError(context, `${path}.round`, '"round" must be a number of decimal places; it is ignored.');
+    }
+}
+
+// ----- Shared checks -----
+
+/**
+ * @description Unknown "_" properties on a section, block or array label (e.g. _blocktitle)
+ */
+function validateMetaProperties(path, labels, allowed, context) {
+    for (const key of Object.keys(labels)) {
+        if (key.startsWith('_') && !allowed.includes(key)) {
+            addUnknownProperty(context, `${path}.${key}`, key, allowed);
+        }
+    }
+    if (labels._order !== undefined && typeof labels._order !== 'number') {
+        addError(context, `${path}._order`, `_order must be a number, not ${JSON.stringify(labels._order)}; the item is placed last.`);
+    }
+    if (labels._dataKey !== undefined && !(typeof labels._dataKey === 'string' && labels._dataKey.trim())) {
+        addError(context, `${path}._dataKey`, '_dataKey must be a non-empty string; the label key is used.');
+    }
+}
+
+function validateFieldOrder(path, block, context) {
+    const fieldOrder = block._fieldOrder;
+    if (fieldOrder === undefined) return;
+    if (!Array.isArray(fieldOrder)) {
+        addError(context, `${path}._fieldOrder`, '_fieldOrder must be a list of field keys; it is ignored.');
+        return;
+    }
+    fieldOrder
+        .filter(key => typeof key !== 'string' || block[key] === undefined)
+        .forEach(key => addWarning(context, `${path}._fieldOrder`, `${JSON.stringify(key)} in _fieldOrder has no label in this block.`));
+}
+
+function validateColspan(path, colspan, context) {
+    if (typeof colspan !== 'number' || Number.isNaN(colspan)) {
+        addError(context, path, `colspan must be a number, not ${JSON.stringify(colspan)}; 6 (half width) is used.`);
+    } else if (!Number.isInteger(colspan) || colspan < 1 || colspan > 12) {
+        addWarning(context, path, `colspan ${colspan} is outside 1–12; ${Math.min(Math.max(Math.round(colspan), 1), 12)} is used.`);
+    }
+}
+
+function validateBooleanProperty(path, labels, key, context) {
+    if (labels[key] !== undefined && typeof labels[key] !== 'boolean') {
+        addError(context, `${path}.${key}`, `${key} must be true or false, not ${JSON.stringify(labels[key])}.`);
+    }
+}
+
+/**
+ * @description label / _sectionTitle / _blockTitle: text, or a language map of texts
+ */
+function validateLabelText(path, value, context) {
+    if (typeof value === 'string') {
+        if (!value.trim()) addWarning(context, path, 'The text is empty.');
+    } else if (!isObject(value) || Object.keys(value).length === 0
+        || !Object.values(value).every(text => typeof text === 'string')) {
+        addError(context, path, 'Must be text or a language map such as { "en_US": "Name", "es": "Nombre" }.');
+    }
+}
+
+function addUnlabeledKeys(path, data, labeledDataKeys, context) {
+    for (const key of Object.keys(data)) {
+        if (!key.startsWith('_') && !labeledDataKeys.has(key)) {
+            addWarning(context, `${path}.${key}`, 'The data key has no label; it is not shown.');
+        }
+    }
+}
+
+function addUnknownProperty(context, path, key, allowed) {
+    const suggestion = findSuggestion(key, allowed);
+    if (suggestion) {
+        addError(context, path, `Unknown property "${key}"; did you mean "${suggestion}"? It is ignored.`);
+    } else {
+        addWarning(context, path, `Unknown property "${key}"; it is ignored.`);
+    }
+}
+
+function addError(context, path, message) {
+    context.errors.push({ severity: 'error', path, message });
+}
+
+function addWarning(context, path, message) {
+    context.warnings.push({ severity: 'warning', path, message });
+}
+
+// ----- Helpers -----
+
+/**
+ * @description Closest allowed name for a typo: same name ignoring case, else at most 2 edits away
+ */
+function findSuggestion(name, candidates) {
+    const lower = name.toLowerCase();
+    const sameCase = candidates.find(candidate => candidate.toLowerCase() === lower);
+    if (sameCase) return sameCase;
+    let best = null;
+    let bestDistance = 3;
+    for (const candidate of candidates) {
+        const distance = editDistance(lower, candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function parseJson(value, path, name, context) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        addError(context, path, `${name} is not valid JSON: ${e.message}`);
+        return undefined;
+    }
+}
+
+// Step values may be JSON text (Long Text Area fields), as in buildFormSections
+function parseJsonValue(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+function resolveDataKey(key, labelInfo) {
+    return isObject(labelInfo) && typeof labelInfo._dataKey === 'string' && labelInfo._dataKey.trim()
+        ? labelInfo._dataKey.trim()
+        : key;
+}
+
+// Object label without field properties ("label", "type", …) = block (or array) label
+function isBlockLabel(labelInfo) {
+    return isObject(labelInfo) && !FIELD_ONLY_PROPERTIES.some(key => key in labelInfo);
+}
+
+function isComputedOrRequired(labelInfo) {
+    return isObject(labelInfo) && (labelInfo.compute !== undefined || labelInfo.required === true);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
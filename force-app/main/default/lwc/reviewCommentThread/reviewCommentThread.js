@@ -0,0 +1,121 @@
+import { LightningElement, api } from 'lwc';
+import LABEL_COMMENTS_ON from '@salesforce/label/c.ReviewSummary_CommentsOn';
+import LABEL_ADD_COMMENT from '@salesforce/label/c.ReviewSummary_AddComment';
+import LABEL_COMMENT from '@salesforce/label/c.ReviewSummary_Comment';
+import LABEL_FLAG_FOR_FOLLOW_UP from '@salesforce/label/c.ReviewSummary_FlagForFollowUp';
+import LABEL_FLAGGED from '@salesforce/label/c.ReviewSummary_Flagged';
+import LABEL_SAVE from '@salesforce/label/c.ReviewSummary_Save';
+import LABEL_CANCEL from '@salesforce/label/c.ReviewSummary_Cancel';
+
+/**
+ * Reviewer comments and flags on one intakeFormReviewSummary field, array row or block.
+ * A toggle shows the comment count (flag icon when any comment is flagged) and opens the list; in reviewer
+ * mode (thread.canComment) the list ends with a comment box and a Flag for follow-up checkbox. Save fires
+ * commentsave ({ key, label, comment, isFlagged }); the parent saves it and passes back thread.isSaving /
+ * thread.saveError, and the draft is cleared once a save finishes without an error.
+ * The print layout lists the comments without the toggle or editor.
+ */
+export default class ReviewCommentThread extends LightningElement {
+    // Comment target from intakeFormReviewSummary.getCommentThread:
+    // { key, label, comments: [{ id, comment, isFlagged, byLine }], canComment, isFlagged, isSaving, saveError }
+    @api
+    get thread() {
+        return this._thread;
+    }
+    set thread(value) {
+        const next = value || {};
+        if (this._thread.isSaving && !next.isSaving && !next.saveError) {
+            this.draft = '';
+            this.isFlagged = false;
+        }
+        this._thread = next;
+    }
+
+    // Print layout of intakeFormReviewSummary: comments listed, no toggle or editor
+    @api printLayout = false;
+
+    labels = {
+        comment: LABEL_COMMENT,
+        flagForFollowUp: LABEL_FLAG_FOR_FOLLOW_UP,
+        flagged: LABEL_FLAGGED,
+        save: LABEL_SAVE,
+        cancel: LABEL_CANCEL
+    };
+
+    _thread = {};
+    isOpen = false;
+    draft = '';
+    isFlagged = false;
+
+    handleToggle() {
+        this.isOpen = !this.isOpen;
+    }
+
+    handleDraftChange(event) {
+        this.draft = event.detail.value || '';
+    }
+
+    handleFlagChange(event) {
+        this.isFlagged = event.detail.checked;
+    }
+
+    handleCancel() {
+        this.draft = '';
+        this.isFlagged = false;
+        this.isOpen = false;
+    }
+
+    /**
+     * @description Ask the parent to save the draft (comment text and / or flag)
+     */
+    handleSave() {
+        if (this.isSaveDisabled) return;
+        this.dispatchEvent(new CustomEvent('commentsave', {
+            detail: {
+                key: this._thread.key,
+                label: this._thread.label,
+                comment: this.draft.trim(),
+                isFlagged: this.isFlagged
+            }
+        }));
+    }
+
+    get commentCount() {
+        return (this._thread.comments || []).length;
+    }
+
+    get showToggle() {
+        return !this.printLayout;
+    }
+
+    get isExpanded() {
+        return this.printLayout ? this.commentCount > 0 : this.isOpen;
+    }
+
+    get showEditor() {
+        return !!this._thread.canComment && !this.printLayout;
+    }
+
+    get isSaveDisabled() {
+        return !!this._thread.isSaving || (!this.draft.trim() && !this.isFlagged);
+    }
+
+    get toggleIcon() {
+        return this._thread.isFlagged ? 'utility:priority' : 'utility:comments';
+    }
+
+    get toggleClass() {
+        let className = 'slds-button comment-toggle';
+        if (this.commentCount) className += ' comment-toggle-active';
+        if (this._thread.isFlagged) className += ' comment-toggle-flagged';
+        return className;
+    }
+
+    get threadTitle() {
+        return LABEL_COMMENTS_ON.replace('{0}', this._thread.label || '');
+    }
+
+    get toggleTitle() {
+        return this.commentCount ? this.threadTitle : LABEL_ADD_COMMENT.replace('{0}', this._thread.label || '');
+    }
+}
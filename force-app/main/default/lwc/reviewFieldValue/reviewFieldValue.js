@@ -0,0 +1,199 @@
+import { LightningElement, api } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import LABEL_OPENS_IN_NEW_WINDOW from '@salesforce/label/c.ReviewSummary_OpensInNewWindow';
+import LABEL_SHOW_MORE from '@salesforce/label/c.ReviewSummary_ShowMore';
+import LABEL_SHOW_LESS from '@salesforce/label/c.ReviewSummary_ShowLess';
+import LABEL_REVEAL from '@salesforce/label/c.ReviewSummary_Reveal';
+import LABEL_HIDE from '@salesforce/label/c.ReviewSummary_Hide';
+import LABEL_REVEAL_FIELD from '@salesforce/label/c.ReviewSummary_RevealField';
+import LABEL_HIDE_FIELD from '@salesforce/label/c.ReviewSummary_HideField';
+import LABEL_MASKED_VALUE from '@salesforce/label/c.ReviewSummary_MaskedValue';
+
+/**
+ * Read-only value of one processed intakeFormReviewSummary field.
+ * Multi-select values render as pills, booleans with a check / close icon, emails and phones as
+ * mailto: / tel: links, url fields as external links (field.href, http/https only) and lookup
+ * fields as the record name linking to the record page (NavigationMixin). Rich text renders through
+ * lightning-formatted-rich-text (sanitized); long text is clamped to field.longTextLines lines with a
+ * Show more toggle and a character count. Anything else is plain text.
+ * Sensitive fields show field.maskedValue until revealed; Reveal / Hide fire revealtoggle
+ * ({ revealKey, reveal }) for intakeFormReviewSummary, which checks and logs the reveal.
+ * The print layout always shows sensitive values masked.
+ */
+export default class ReviewFieldValue extends NavigationMixin(LightningElement) {
+    // Processed field from intakeFormReviewSummary.processField
+    @api
+    get field() {
+        return this._field;
+    }
+    set field(value) {
+        this._field = value || {};
+        this.recordUrl = this._field.recordId ? `/${this._field.recordId}` : null;
+        if (this._isConnected) this.generateRecordUrl();
+    }
+
+    // Table cell layout (inline pills)
+    @api inline = false;
+
+    // Print layout of intakeFormReviewSummary: long text shown in full, no toggle
+    @api printLayout = false;
+
+    labels = {
+        opensInNewWindow: LABEL_OPENS_IN_NEW_WINDOW,
+        showMore: LABEL_SHOW_MORE,
+        showLess: LABEL_SHOW_LESS,
+        reveal: LABEL_REVEAL,
+        hide: LABEL_HIDE,
+        maskedValue: LABEL_MASKED_VALUE
+    };
+
+    _field = {};
+    _isConnected = false;
+    // Long text: expanded by the reader; isTruncated once the clamped text is measured as overflowing
+    isLongTextExpanded = false;
+    isTruncated = false;
+    // Record page URL for lookup links (NavigationMixin.GenerateUrl; /<Id> until generated)
+    recordUrl = null;
+
+    connectedCallback() {
+        this._isConnected = true;
+        this.generateRecordUrl();
+    }
+
+    disconnectedCallback() {
+        this._isConnected = false;
+    }
+
+    /**
+     * @description Show the long text toggle only when the clamped text actually overflows
+     */
+    renderedCallback() {
+        if (!this._field.isLongText || this.isLongTextShown) return;
+        const text = this.template.querySelector('.long-text');
+        const isTruncated = !!text && text.scrollHeight > text.clientHeight + 1;
+        if (isTruncated !== this.isTruncated) {
+            this.isTruncated = isTruncated;
+        }
+    }
+
+    /**
+     * @description Show more / Show less
+     */
+    handleLongTextToggle() {
+        this.isLongTextExpanded = !this.isLongTextExpanded;
+    }
+
+    /**
+     * @description Resolve the lookup record page URL for the link href (open in new tab, copy link)
+     */
+    generateRecordUrl() {
+        const recordId = this._field.recordId;
+        if (!recordId) return;
+        this[NavigationMixin.GenerateUrl](this.getRecordPageReference(recordId))
+            .then((url) => {
+                if (url && this._field.recordId === recordId) {
+                    this.recordUrl = url;
+                }
+            })
+            .catch((err) => {
+                console.warn('Failed to generate record URL:', err);
+            });
+    }
+
+    /**
+     * @description Lookup link: navigate to the record page (modified clicks keep the browser default)
+     */
+    handleRecordClick(event) {
+        if (event.ctrlKey || event.metaKey || event.shiftKey || event.button === 1) return;
+        event.preventDefault();
+        this[NavigationMixin.Navigate](this.getRecordPageReference(this._field.recordId));
+    }
+
+    /**
+     * @description Reveal / Hide a sensitive field (the parent decides and re-renders the field)
+     */
+    handleReveal() {
+        this.dispatchRevealToggle(true);
+    }
+
+    handleHide() {
+        this.dispatchRevealToggle(false);
+    }
+
+    dispatchRevealToggle(reveal) {
+        this.dispatchEvent(new CustomEvent('revealtoggle', {
+            detail: { revealKey: this._field.revealKey, reveal: reveal }
+        }));
+    }
+
+    getRecordPageReference(recordId) {
+        return {
+            type: 'standard__recordPage',
+            attributes: { recordId: recordId, actionName: 'view' }
+        };
+    }
+
+    get showMasked() {
+        return !!this._field.isSensitive && (this._field.isMasked || this.printLayout);
+    }
+
+    get showRevealControl() {
+        return !!this._field.canReveal && !this.printLayout;
+    }
+
+    get showHideControl() {
+        return !!this._field.isSensitive && !this._field.isMasked && !this.printLayout;
+    }
+
+    get revealTitle() {
+        return LABEL_REVEAL_FIELD.replace('{0}', this._field.label);
+    }
+
+    get hideTitle() {
+        return LABEL_HIDE_FIELD.replace('{0}', this._field.label);
+    }
+
+    get showPills() {
+        return this._field.isMultiSelect;
+    }
+
+    get pillsClass() {
+        return this.inline ? 'multiselect-pills multiselect-pills-inline' : 'multiselect-pills';
+    }
+
+    get isLongTextShown() {
+        return this.isLongTextExpanded || this.printLayout;
+    }
+
+    get showLongTextToggle() {
+        return this.isTruncated && !this.printLayout;
+    }
+
+    get longTextClass() {
+        return this.isLongTextShown ? 'long-text' : 'long-text long-text-clamped';
+    }
+
+    get longTextStyle() {
+        return `--long-text-lines: ${this._field.longTextLines};`;
+    }
+
+    get longTextToggleLabel() {
+        return this.isLongTextExpanded ? this.labels.showLess : this.labels.showMore;
+    }
+
+    get showBooleanIcon() {
+        return !!this._field.booleanIcon;
+    }
+
+    get showRecordLink() {
+        return this._field.isLookup && !!this.recordUrl;
+    }
+
+    get showExternalLink() {
+        return this._field.isUrl && !!this._field.href;
+    }
+
+    get showLink() {
+        return !!this._field.href;
+    }
+}